@@ -1,9 +1,26 @@
 'use strict';
 
 var path = require('path');
+var fs = require('graceful-fs');
 var _ = require('lodash');
 var mm = require('minimatch');
 var WallabyInputFileSystem = require('./lib/WallabyInputFileSystem');
+var PersistentCache = require('./lib/PersistentCache');
+var VirtualFiles = require('./lib/VirtualFiles');
+var WebpackConfig = require('./lib/WebpackConfig');
+var WorkerPool = require('./lib/WorkerPool');
+var LoaderDataShards = require('./lib/LoaderDataShards');
+var BuildStats = require('./lib/BuildStats');
+var PostprocessorPlugins = require('./lib/PostprocessorPlugins');
+var EntryGroups = require('./lib/EntryGroups');
+var ExternalModules = require('./lib/ExternalModules');
+
+var PLUGIN_NAME = 'WallabyWebpackPostprocessor';
+var PARALLEL_LOADER = require.resolve('./lib/loaders/parallel-loader');
+// loaders that are CPU heavy and don't need the compiler, so they can run in worker processes
+var DEFAULT_PARALLEL_LOADERS = ['babel-loader', 'sass-loader', 'less-loader', 'stylus-loader', 'postcss-loader', 'coffee-loader'];
+// persistent cache key of the build state (module ids, async chunk ids, test dependency graphs), module keys are requests
+var BUILD_STATE_KEY = 'wallaby-webpack:build-state';
 
 /*
  Postprocessor for wallaby.js runs module bundler compiler incrementally
@@ -39,12 +56,59 @@ class WebpackPostprocessor {
     this._entryPatterns = this._opts.entryPatterns;
     this._emitModulePaths = this._opts.emitModulePaths;
     this._preserveEntryFileLoadOrder = this._opts.preserveEntryFileLoadOrder;
+    this._hot = !!this._opts.hot;
+    this._untrackedSourceMaps = !!this._opts.untrackedSourceMaps;
+    this._virtualFiles = new VirtualFiles(this._opts.virtualFiles, process.cwd());
+    this._externalModules = new ExternalModules(this._opts.moduleStandIns);
+    this._watchPatterns = WebpackPostprocessor._resolvePatterns(this._opts.watchUntracked);
+    this._isolateModules = !!this._opts.isolateModules;
+    this._sharedModulePatterns = WebpackPostprocessor._resolvePatterns(this._opts.sharedModules);
+    this._webpackConfig = new WebpackConfig(this._opts);
+    this._parallel = this._opts.parallel;
+    this._parallelLoaders = this._opts.parallelLoaders || DEFAULT_PARALLEL_LOADERS;
+    this._moduleIdsStrategy = this._opts.moduleIds;
+    this._entryGroup = this._opts.entryGroup;
+    this._plugins = new PostprocessorPlugins(this._opts.postprocessorPlugins);
+    this._cacheDirectory = this._opts.cacheDirectory === true
+      ? path.join(process.cwd(), 'node_modules', '.cache', 'wallaby-webpack')
+      : this._opts.cacheDirectory;
+    var statsFile = this._opts.statsFile === true
+      ? path.join(process.cwd(), 'wallaby-webpack-stats.json')
+      : (this._opts.statsFile && path.resolve(process.cwd(), this._opts.statsFile));
+    if (statsFile && this._entryGroup) {
+      // each entry group has its own report
+      statsFile = statsFile.replace(/(\.\w+)?$/, '.' + this._entryGroup + '$1');
+    }
+    this._buildStats = statsFile ? new BuildStats(statsFile) : null;
     delete this._opts.webpack;
     delete this._opts.entryPatterns;
     delete this._opts.preserveEntryFileLoadOrder;
     delete this._opts.emitModulePaths;
+    delete this._opts.cacheDirectory;
+    delete this._opts.hot;
+    delete this._opts.untrackedSourceMaps;
+    delete this._opts.virtualFiles;
+    delete this._opts.moduleStandIns;
+    delete this._opts.watchUntracked;
+    delete this._opts.isolateModules;
+    delete this._opts.sharedModules;
+    delete this._opts.configFile;
+    delete this._opts.configName;
+    delete this._opts.env;
+    delete this._opts.argv;
+    delete this._opts.removePlugins;
+    delete this._opts.replaceLoaders;
+    delete this._opts.keepPlugins;
+    delete this._opts.keepLoaders;
+    delete this._opts.parallel;
+    delete this._opts.parallelLoaders;
+    delete this._opts.moduleIds;
+    delete this._opts.statsFile;
+    delete this._opts.postprocessorPlugins;
+    delete this._opts.entryGroup;
     delete this._opts.mode;
     this._opts.entry = {};
+    this._configureTarget();
 
     if (this._entryPatterns && _.isString(this._entryPatterns)) {
       this._entryPatterns = [this._entryPatterns];
@@ -59,10 +123,82 @@ class WebpackPostprocessor {
     this._allTrackedFiles = {};
     this._entryFiles = {};
     this._testDependencies = {};
+    this._testDependents = {};
+    this._testModuleKeys = {};
     this._testFilePathById = {};
+    this._moduleFileById = {};
+    this._moduleChangedAt = {};
+    this._sharedModuleIds = {};
+    this._chunkIdByBlockKey = {};
+    this._nextChunkId = 0;
+    this._restoredModules = new Set();
+    this._buildStateContent = null;
     this._inputFileSystem = new WallabyInputFileSystem(this);
   }
 
+  _configureTarget() {
+    // modules can also be emitted to run in wallaby node.js runner, webpack `target` option is kept as is
+    this._isNodeTarget = this._opts.target === 'node' || this._opts.target === 'async-node';
+    // entry group modules are registered in a registry of their own, and loaded by a loader of their own
+    var registryName = '__moduleBundler' + (this._entryGroup ? ('_' + this._entryGroup) : '');
+    this._registry = this._isNodeTarget
+      ? '(typeof globalThis === "object" ? globalThis : global).' + registryName
+      : 'window.' + registryName;
+    var loaderName = 'wallaby-webpack' + (this._entryGroup ? ('-' + this._entryGroup) : '');
+    this._loaderFiles = {
+      loader: loaderName + '.js',
+      data: loaderName + '-data',
+      hot: loaderName + '-hot.js',
+      entry: 'wallaby_webpack_' + (this._entryGroup ? (this._entryGroup + '_') : '') + 'entry.js',
+      // files emitted by loaders and asset modules, the public path of the test loader
+      assets: '__assets/' + (this._entryGroup ? (this._entryGroup + '/') : '')
+    };
+    this._loaderDataShards = new LoaderDataShards(this._registry, this._loaderFiles.data);
+  }
+
+  _loadConfigFile(logger) {
+    var self = this;
+    if (!self._configFilePromise) {
+      self._configFilePromise = self._webpackConfig.load(process.cwd())
+        .then(config => {
+          if (!config) return;
+          logger.debug('Webpack config file loaded');
+          // options passed to the postprocessor override the ones from the config file, plugins are added
+          self._opts = _.mergeWith({}, config, self._opts,
+            (objValue, srcValue, key) => (key === 'plugins' && _.isArray(objValue)) ? objValue.concat(srcValue) : undefined);
+          delete self._opts.mode;
+          self._opts.entry = {};
+          self._configureTarget();
+        })
+        .catch(e => {
+          // trying again on the next run
+          self._configFilePromise = null;
+          throw e;
+        });
+    }
+    return self._configFilePromise;
+  }
+
+  isNodeTarget() {
+    return this._isNodeTarget;
+  }
+
+  getRegistry() {
+    return this._registry;
+  }
+
+  getLoaderFile() {
+    return this._loaderFiles.loader;
+  }
+
+  getVirtualFiles() {
+    return this._virtualFiles;
+  }
+
+  isWatchedFile(filePath) {
+    return WebpackPostprocessor._matchesPatterns(filePath, this._watchPatterns);
+  }
+
   getAllTrackedFiles() {
     return this._allTrackedFiles;
   }
@@ -83,195 +219,585 @@ class WebpackPostprocessor {
     }
 
     var webpackPackageJson = WebpackPostprocessor._tryRequireFrom('webpack/package.json');
-    if (webpackPackageJson && webpackPackageJson.version) {
-      // Check if majorversion is >= 5
-      if (parseInt(webpackPackageJson.version.split('.')[0], 10) >= 5) {
-        throw new Error(`Unsupported webpack version. The 'wallaby-webpack\' package does not support your project's version of webpack (${webpackPackageJson.version}). Use Wallaby's built-in webpack integration instead: https://wallabyjs.com/docs/integration/webpack-built-in.html`);
-      }
-    }
+    this._webpackVersion = this._webpack.version || (webpackPackageJson && webpackPackageJson.version);
+    // webpack 5 removed most of the internals used for webpack 1-4, so it has its own code path
+    this._isWebpack5 = !!this._webpackVersion && parseInt(this._webpackVersion.split('.')[0], 10) >= 5;
 
-    return wallaby => {
+    var run = wallaby => {
       var logger = wallaby.logger;
       var affectedFiles = WebpackPostprocessor._fileArrayToObject(wallaby.affectedFiles);
+      // passed to postprocessor plugin hooks
+      self._pluginContext = {
+        webpack: self._webpack,
+        isWebpack5: self._isWebpack5,
+        registry: self._registry,
+        isNodeTarget: self._isNodeTarget,
+        logger: logger,
+        createFile: wallaby.createFile
+      };
 
-      if (!self._compiler || wallaby.anyFilesAdded || wallaby.anyFilesDeleted) {
-
-        if (!self._compiler) {
-          logger.debug('New compiler created');
-        }
-        else {
-          logger.debug('Compiler re-created because some tracked files were added or deleted');
-        }
+      if (!self._compiler) {
+        logger.debug('New compiler created');
 
         affectedFiles = self._allTrackedFiles = WebpackPostprocessor._fileArrayToObject(wallaby.allFiles);
-
-        var entryPatternsNotMatchingAnyFiles = _.reduce(self._entryPatterns || [], function (memo, p) {
-          memo[p] = p;
-          return memo;
-        }, {});
-        // Entry files ordered by entry pattern index
-        self._entryFiles = _.reduce(!self._entryPatterns
-          ? wallaby.allTestFiles
-          : _.sortBy(_.filter(self._allTrackedFiles, file => {
-            var satisfiesAnyEntryPattern = _.find(self._entryPatterns, (pattern, patternIndex) => (file.patternIndex = patternIndex, mm(file.path, pattern)));
-            if (!satisfiesAnyEntryPattern) {
-              delete file.patternIndex;
-            } else {
-              delete entryPatternsNotMatchingAnyFiles[satisfiesAnyEntryPattern];
-            }
-
-            return satisfiesAnyEntryPattern;
-          }), 'patternIndex'),
-          function (memo, file) {
-            delete file.patternIndex;
-            memo[file.fullPath] = file;
-            return memo;
-          }, {});
-        if (!_.isEmpty(entryPatternsNotMatchingAnyFiles)) {
-          _.each(entryPatternsNotMatchingAnyFiles, p => logger.error('Specified entry pattern "' + p + '" does not match any file.'));
-        }
+        self._entryFiles = self._getEntryFiles(wallaby, logger);
         self._compiler = self._createCompiler({
           cache: false,   // wallaby post processor is using its own cache
           entry: _.reduce(self._entryFiles, (memo, entryFile) => {
             memo[entryFile.fullPath] = entryFile.fullPath;
             return memo;
           }, {})
-        }, wallaby.nodeModulesDir);
+        }, wallaby.nodeModulesDir, logger);
+        self._compilerEntries = _.mapValues(self._entryFiles, () => true);
 
         self._affectedModules = [];
         self._moduleIds = {};
         self._compilationCache = {};
         self._compilationFileTimestamps = {};
         self._testDependencies = {};
+        self._testDependents = {};
+        self._testModuleKeys = {};
         self._testFilePathById = {};
-
+        self._emittedModuleHashes = {};
+        self._moduleChangedAt = {};
+        self._sharedModuleIds = {};
+        self._modulesResetAt = +new Date();
+
+        self._loaderContent = null;
+        self._loaderDataContent = null;
+        self._hotContent = null;
+        self._loaderDataShards.reset();
         self._loaderEmitRequired = true;
         self._fullRun = true;
       } else {
+        if (wallaby.anyFilesAdded || wallaby.anyFilesDeleted) {
+          logger.debug('Compiler entries updated because some tracked files were added or deleted');
+          self._updateTrackedFiles(wallaby, affectedFiles, logger);
+        }
         self._fullRun = false;
       }
 
+      self._restoredModules = new Set();
+      if (self._buildStats) {
+        self._buildStats.runStarted();
+      }
+
       // cache invalidation for changed files
       _.each(affectedFiles, file => {
         self._compilationFileTimestamps[file.fullPath] = +new Date();
+        if (self._buildStats) {
+          self._buildStats.fileChanged(file.fullPath);
+        }
       });
-
-      return new Promise(
-        function (resolve, reject) {
-          try {
-            logger.debug('Webpack compilation started');
-            // incremental bundling
-            self._compiler.compile((err, stats) => {
-              if (err) {
-                reject(err);
-                return;
-              }
-              var lastCompilation = self._compiler.lastCompilation;
-              if (lastCompilation && lastCompilation.errors && lastCompilation.errors.length) {
-                _.each(lastCompilation.errors, e => logger.error(((typeof e === 'string') && e) || e && ((e.message || '') + (e.stack || ''))));
-              }
-
-              resolve();
-            });
-          } catch (err) {
-            reject(err);
-          }
+      self._updateVirtualFileTimestamps(logger);
+
+      return self._restoreBuildState(logger)
+        .then(() => new Promise(resolve => self._updateWatchedFileTimestamps(logger, resolve)))
+        .then(() => new Promise(
+          function (resolve, reject) {
+            try {
+              logger.debug('Webpack compilation started');
+              // incremental bundling
+              self._compile(err => {
+                if (err) {
+                  reject(err);
+                  return;
+                }
+                resolve();
+              });
+            } catch (err) {
+              reject(err);
+            }
+          }))
+        .then(() => {
+          logger.debug('Webpack compilation finished');
+          return self._plugins.afterCompile({
+            compilation: self._compiler.lastCompilation,
+            modules: self._affectedModules
+          }, self._pluginContext);
         })
         .then(function () {
-          logger.debug('Webpack compilation finished');
           var createFilePromises = [];
+          var updatedAt = +new Date();
 
-          if (!self._fullRun) {
-            self._affectedModules = self._addHarmonyModulesAffectedDependencies(self._affectedModules, affectedFiles);
+          if (self._isWebpack5) {
+            self._affectedModules = self._getChangedModules(self._affectedModules, affectedFiles);
           }
+          else {
+            if (!self._fullRun) {
+              self._affectedModules = self._addHarmonyModulesAffectedDependencies(self._affectedModules, affectedFiles);
+            }
+            // modules re-built because of their other file dependencies (such as files read by loaders) are still
+            // emitted as tracked files
+            _.each(self._affectedModules, m => {
+              var trackedFile = m.resource && self._allTrackedFiles[m.resource];
+              if (trackedFile) {
+                affectedFiles[m.resource] = trackedFile;
+              }
+            });
+          }
+
+          // async blocks need to know their chunks before their parent modules are rendered
+          var asyncChunks = self._isWebpack5 ? self._getWebpack5AsyncChunks() : self._assignAsyncChunks();
 
           _.each(self._affectedModules, function (m) {
+            var id = self._getId(m);
             var trackedFile = m.resource && affectedFiles[m.resource];
             var isEntryFile = trackedFile && self._entryFiles[trackedFile.fullPath];
             var isTestFile = trackedFile && trackedFile.test;
-            var source = self._getSource(m, trackedFile);
-            var code = source.code;
-            var sourceMap = trackedFile && source.map();
-
-            if (isTestFile && m.dependencies) {
-              var depIds = [];
-              self._traverseDependencies(m.dependencies, d => d.module, (m, f) => depIds.push(f.id), {});
-              self._testDependencies[trackedFile.id] = depIds;
-            }
+            var moduleId = self._getModuleId(m, trackedFile, isEntryFile);
+            var source = self._getSource(m, moduleId);
+            var emittedModule = self._plugins.transformEmittedModule({
+              id: moduleId,
+              path: self._getModuleFilePath(id, trackedFile, isTestFile),
+              content: source.code,
+              sourceMap: m.useSourceMap ? WebpackPostprocessor._normalizeSourceMap(source.map(), m) : null,
+              module: m,
+              file: trackedFile,
+              isEntryFile: !!isEntryFile,
+              isTestFile: !!isTestFile
+            }, self._pluginContext);
+            var filePath = emittedModule.path;
 
             createFilePromises.push(wallaby.createFile({
-              // adding the suffix to store webpack file along with the original copies for tracked files
-              // for non-tracked files path/name doesn't matter, just has to be unique for each file
-              path: trackedFile
-                // adding id because same resource may be loaded more than once with different ids, for example:
-                // var a = require('./a'); var b = require('imports?window=mocked!./a');
-                ? (trackedFile.path + ((_.isNumber(m.id) && !isTestFile) ? ('.' + m.id) : '') + '.wbp.js')
-                : path.join('__modules', m.id + '.js'),
+              path: filePath,
               original: trackedFile,
-              content: code,
-              sourceMap: sourceMap,
+              content: emittedModule.content,
+              sourceMap: emittedModule.sourceMap,
               order: (isEntryFile && self._entryPatterns) ? trackedFile.order : undefined
             }));
 
+            _.each(self._getModuleAssets(m), asset => {
+              createFilePromises.push(wallaby.createFile({
+                path: self._loaderFiles.assets + asset.name,
+                content: asset.content
+              }));
+            });
+
             // if the file is not tracked, preventing re-build it
             if (m.resource && !trackedFile) {
               self._compilationFileTimestamps[m.resource] = 1;
             }
 
             // caching test entry modules by file path so that we can load them from __moduleBundler.loadTests
-            var moduleId = WebpackPostprocessor._getModuleId(m, trackedFile, isEntryFile);
             if (!self._moduleIds[moduleId]) {
-              self._moduleIds[moduleId] = m.id;
+              self._moduleIds[moduleId] = id;
               // modules unknown so far force test loader script reload
               self._loaderEmitRequired = true;
             }
+            // modules registered by ids other than webpack ones (by plugins) are still required by webpack ids
+            if (!isTestFile && !isEntryFile && !_.isNil(id) && moduleId !== id && !self._moduleIds[id]) {
+              self._moduleIds[id] = moduleId;
+              self._loaderEmitRequired = true;
+            }
             if (self._emitModulePaths) {
               self._modulePathById[moduleId] = m.resource;
             }
+            self._moduleFileById[moduleId] = filePath;
             if (trackedFile) {
               self._moduleIdByPath[trackedFile.fullPath] = moduleId;
             }
+            if (self._hot && !self._fullRun) {
+              self._moduleChangedAt[moduleId] = updatedAt;
+            }
+            if (self._isolateModules) {
+              if (m.resource && WebpackPostprocessor._matchesPatterns(m.resource, self._sharedModulePatterns)) {
+                self._sharedModuleIds[moduleId] = true;
+              } else {
+                delete self._sharedModuleIds[moduleId];
+              }
+            }
             if (isTestFile) {
-              self._testFilePathById[m.id] = trackedFile.path;
+              self._testFilePathById[id] = trackedFile.path;
             }
           });
 
+          self._updateTestDependencies(self._affectedModules);
+          if (self._persistentCache) {
+            self._storeBuildState();
+          }
+
           // resetting till next incremental bundle run
           self._affectedModules = [];
 
-          // test loader script for wallaby.js
-          if (self._loaderEmitRequired) {
-            self._loaderEmitRequired = false;
+          var diagnostics = self._getDiagnostics(self._compiler.lastCompilation);
+          _.each(diagnostics, d => {
+            if (d.severity === 'error') {
+              logger.error(WebpackPostprocessor._formatDiagnostic(d));
+            } else {
+              logger.debug(WebpackPostprocessor._formatDiagnostic(d));
+            }
+          });
+
+          // test loader script for wallaby.js, it doesn't depend on modules, so it's only emitted once
+          var loaderContent = self._plugins.beforeEmitLoader({
+            path: self._loaderFiles.loader,
+            content: WebpackPostprocessor._getLoaderContent(self._registry, self._isNodeTarget, self._hot,
+              self._loaderFiles, !!self._entryGroup)
+          }, self._pluginContext).content;
+          if (loaderContent !== self._loaderContent) {
+            self._loaderContent = loaderContent;
             createFilePromises.push(wallaby.createFile({
-              order: -1,  // need to be the first file to load
-              path: 'wallaby-webpack.js',
-              content: WebpackPostprocessor._getLoaderContent()
-                + 'window.__moduleBundler.deps = '
-                // dependency lookup
-                + JSON.stringify(self._moduleIds) + ';'
-                + (self._emitModulePaths ? ('window.__moduleBundler.depPaths = ' + JSON.stringify(self._modulePathById) + ';') : '')
-                + 'window.__moduleBundler.testFilePathById = ' + JSON.stringify(self._testFilePathById) + ';'
+              order: -2,  // need to be the first file to load
+              path: self._loaderFiles.loader,
+              content: loaderContent
             }));
+          }
+
+          var hasEntryFile = self._entryPatterns && self._entryFiles && !_.isEmpty(self._entryFiles);
+          if (self._loaderEmitRequired) {
+            self._loaderEmitRequired = false;
+
+            // module lookup maps are sharded, only shards with new (or removed) entries are emitted
+            var maps = {
+              // dependency lookup
+              deps: self._moduleIds,
+              testFilePathById: self._testFilePathById,
+              // module lookup by path for mocks
+              idByPath: self._moduleIdByPath
+            };
+            if (self._emitModulePaths) {
+              maps.depPaths = self._modulePathById;
+            }
+            if (self._isNodeTarget) {
+              // in node all module files are required on demand
+              maps.files = self._moduleFileById;
+            }
+            _.each(self._loaderDataShards.getChangedFiles(maps), file => {
+              createFilePromises.push(wallaby.createFile({order: -1, path: file.path, content: file.content}));
+            });
 
             // Executing all entry files
-            if (self._entryPatterns && self._entryFiles && !_.isEmpty(self._entryFiles)) {
+            if (hasEntryFile) {
               var entryFilesToLoad = _.values(self._entryFiles);
               createFilePromises.push(wallaby.createFile({
                 order: self._preserveEntryFileLoadOrder ? entryFilesToLoad[0].order : Infinity,
-                path: 'wallaby_webpack_entry.js',
+                path: self._loaderFiles.entry,
                 content: _.reduce(entryFilesToLoad,
-                  (memo, file) => memo + (file.test ? '' : 'window.__moduleBundler.require(' + JSON.stringify(self._moduleIdByPath[file.fullPath]) + ');'), '')
+                  (memo, file) => memo + (file.test ? '' : self._registry + '.require(' + JSON.stringify(self._moduleIdByPath[file.fullPath]) + ');'), '')
               }));
             }
           }
 
+          // async chunk modules (and their files to load on demand), failed modules or the number of map shards
+          // changed, so loader data script needs to be reloaded
+          var loaderDataContent = self._registry + ' = ' + self._registry + ' || {};'
+            + self._getAsyncChunksContent(asyncChunks) + self._getModuleErrorsContent(diagnostics)
+            + (self._isolateModules ? (self._registry + '.sharedIds = ' + JSON.stringify(self._sharedModuleIds) + ';') : '')
+            + self._registry + '.shardCount = ' + self._loaderDataShards.getCount() + ';'
+            + self._registry + '.projectDir = ' + JSON.stringify(wallaby.localProjectDir || process.cwd()) + ';'
+            + ((self._isNodeTarget && hasEntryFile) ? (self._registry + '.hasEntryFile = true;') : '')
+            + (self._hasAsyncModules() ? (self._registry + '.hasAsyncModules = true;') : '');
+          if (loaderDataContent !== self._loaderDataContent) {
+            self._loaderDataContent = loaderDataContent;
+            createFilePromises.push(wallaby.createFile({
+              order: -1,
+              path: self._loaderFiles.data + '.js',
+              content: loaderDataContent
+            }));
+          }
+
+          // modules changed since the full run, so that a loader kept from previous runs knows what to re-execute
+          if (self._hot) {
+            self._pruneHotUpdate(updatedAt);
+            var hotContent = '(' + self._registry + ' = ' + self._registry + ' || {}).hotUpdate = ' + JSON.stringify({
+              resetAt: self._modulesResetAt,
+              // the time of the latest change, so that the file only changes when some modules change
+              updatedAt: _.max([self._modulesResetAt].concat(_.values(self._moduleChangedAt))),
+              changedAt: self._moduleChangedAt
+            }) + ';';
+            if (hotContent !== self._hotContent) {
+              self._hotContent = hotContent;
+              createFilePromises.push(wallaby.createFile({
+                order: -1,
+                path: self._loaderFiles.hot,
+                content: hotContent
+              }));
+            }
+          }
+
+          if (self._buildStats) {
+            self._writeBuildStats(diagnostics, logger);
+          }
+
           logger.debug('Emitting %s files', createFilePromises.length);
 
           return Promise.all(createFilePromises).then(function () {
-            return {testDependencies: self._testDependencies};
+            return {
+              diagnostics: _.map(diagnostics, d => _.omit(d, 'module')),
+              testDependencies: self._testDependencies,
+              testDependents: _.mapValues(self._testDependents, testIds => _.keys(testIds))
+            };
           });
         });
     };
+
+    // webpack config file (if any) is loaded before the compiler is created
+    return wallaby => self._loadConfigFile(wallaby.logger).then(() => run(wallaby));
+  }
+
+  _pruneHotUpdate(updatedAt) {
+    // when most of the modules have changed since the reset, re-executing all modules is about as fast as applying
+    // the changes, so the reset time is moved and the changes before it are dropped
+    var self = this;
+    if (_.size(self._moduleChangedAt) > _.size(self._moduleFileById) / 2) {
+      self._modulesResetAt = updatedAt;
+    }
+    self._moduleChangedAt = _.pickBy(self._moduleChangedAt, changedAt => changedAt > self._modulesResetAt);
+  }
+
+  _getEntryFiles(wallaby, logger) {
+    var entryPatternsNotMatchingAnyFiles = _.reduce(this._entryPatterns || [], function (memo, p) {
+      memo[p] = p;
+      return memo;
+    }, {});
+    // Entry files ordered by entry pattern index
+    var entryFiles = _.reduce(!this._entryPatterns
+      ? wallaby.allTestFiles
+      : _.sortBy(_.filter(this._allTrackedFiles, file => {
+        var satisfiesAnyEntryPattern = _.find(this._entryPatterns, (pattern, patternIndex) => (file.patternIndex = patternIndex, mm(file.path, pattern)));
+        if (!satisfiesAnyEntryPattern) {
+          delete file.patternIndex;
+        } else {
+          delete entryPatternsNotMatchingAnyFiles[satisfiesAnyEntryPattern];
+        }
+
+        return satisfiesAnyEntryPattern;
+      }), 'patternIndex'),
+      function (memo, file) {
+        delete file.patternIndex;
+        memo[file.fullPath] = file;
+        return memo;
+      }, {});
+    if (!_.isEmpty(entryPatternsNotMatchingAnyFiles)) {
+      _.each(entryPatternsNotMatchingAnyFiles, p => logger.error('Specified entry pattern "' + p + '" does not match any file.'));
+    }
+    return entryFiles;
+  }
+
+  _updateTrackedFiles(wallaby, affectedFiles, logger) {
+    var self = this;
+    var previousTrackedFiles = self._allTrackedFiles;
+    var previousEntryFiles = self._entryFiles;
+    self._allTrackedFiles = WebpackPostprocessor._fileArrayToObject(wallaby.allFiles);
+
+    var addedFiles = _.pickBy(self._allTrackedFiles, (file, fullPath) => !previousTrackedFiles[fullPath]);
+    _.assign(affectedFiles, addedFiles);
+    // file system results cached before the files were tracked are not valid anymore
+    self._inputFileSystem.purge(_.keys(affectedFiles));
+    self._purgeResolverCaches(_.keys(affectedFiles), _.keys(addedFiles), wallaby.localProjectDir || process.cwd());
+    if (!_.isEmpty(addedFiles)) {
+      self._addModulesWithMissingDependencies(affectedFiles);
+    }
+
+    // instead of re-creating the compiler, new entries are added to the existing one
+    // (webpack 1 doesn't export SingleEntryPlugin, webpack 5 has renamed it to EntryPlugin)
+    var SingleEntryPlugin = self._webpack.EntryPlugin || self._webpack.SingleEntryPlugin
+      || WebpackPostprocessor._tryRequireFrom('webpack/lib/SingleEntryPlugin');
+    self._entryFiles = self._getEntryFiles(wallaby, logger);
+    _.each(self._entryFiles, (file, fullPath) => {
+      if (!self._compilerEntries[fullPath]) {
+        self._compilerEntries[fullPath] = true;
+        new SingleEntryPlugin(self._compiler.context, fullPath, fullPath).apply(self._compiler);
+      }
+    });
+    if (!_.isEqual(_.keys(previousEntryFiles), _.keys(self._entryFiles))) {
+      self._loaderEmitRequired = true;
+    }
+
+    var deletedFiles = _.pickBy(previousTrackedFiles, (file, fullPath) => !self._allTrackedFiles[fullPath]);
+    self._inputFileSystem.purge(_.keys(deletedFiles));
+    self._purgeResolverCaches(_.keys(deletedFiles), _.keys(deletedFiles), wallaby.localProjectDir || process.cwd());
+    if (!_.isEmpty(deletedFiles)) {
+      self._removeDeletedModules(deletedFiles, affectedFiles);
+    }
+  }
+
+  _addModulesWithMissingDependencies(affectedFiles) {
+    // modules importing files that were missing need to be rebuilt, the files may have been added
+    var self = this;
+    var lastCompilation = self._compiler.lastCompilation;
+    _.each(lastCompilation && Array.from(lastCompilation.modules), m => {
+      var trackedFile = m.resource && self._allTrackedFiles[m.resource];
+      if (trackedFile && _.some(WebpackPostprocessor._getAllDependencies(m), d => d && d.request && !self._getDependencyModule(d))) {
+        affectedFiles[m.resource] = trackedFile;
+      }
+    });
+  }
+
+  _purgeResolverCaches(filePaths, addedOrDeletedPaths, projectDir) {
+    // webpack 1-3 resolvers have file system caches of their own, so added files could still be missing for them,
+    // and deleted files could still exist; the caches are purged by path prefix, so paths without extensions
+    // also purge the results of resolving the files by extensionless requests.
+    // Directories of added and deleted files (up to the project directory) are purged as well, as they could have
+    // been cached as missing, or with their previous contents
+    var self = this;
+    var prefixes = _.uniq(_.map(filePaths, p => p.replace(/\.[^.\/\\]*$/, ''))
+      .concat(_.flatMap(addedOrDeletedPaths, p => WebpackPostprocessor._getAncestorDirs(p, projectDir))));
+    _.each(self._compiler.resolvers, resolver => {
+      var fileSystem = resolver && resolver.fileSystem;
+      if (prefixes.length && fileSystem && fileSystem !== self._inputFileSystem && _.isFunction(fileSystem.purge)) {
+        fileSystem.purge(prefixes);
+      }
+    });
+  }
+
+  static _getAncestorDirs(filePath, rootDir) {
+    var dirs = [];
+    if (!_.startsWith(filePath, rootDir + path.sep)) return dirs;
+    for (var dir = path.dirname(filePath); dir !== rootDir && path.dirname(dir) !== dir; dir = path.dirname(dir)) {
+      dirs.push(dir);
+    }
+    return dirs;
+  }
+
+  _removeDeletedModules(deletedFiles, affectedFiles) {
+    var self = this;
+    var lastCompilation = self._compiler.lastCompilation;
+
+    _.each(lastCompilation && Array.from(lastCompilation.modules), m => {
+      var deletedFile = m.resource && deletedFiles[m.resource];
+      if (deletedFile) {
+        var moduleId = self._getModuleId(m, deletedFile, !!self._entryPatterns && !!self._compilerEntries[m.resource]);
+        delete self._moduleIds[moduleId];
+        if (self._moduleIds[self._getId(m)] === moduleId) {
+          delete self._moduleIds[self._getId(m)];
+        }
+        delete self._modulePathById[moduleId];
+        delete self._moduleFileById[moduleId];
+        delete self._moduleChangedAt[moduleId];
+        delete self._sharedModuleIds[moduleId];
+        delete self._testFilePathById[self._getId(m)];
+        return;
+      }
+
+      // modules importing deleted files need to be rebuilt to report the missing dependency
+      var trackedFile = m.resource && self._allTrackedFiles[m.resource];
+      var deps = _.flatten([m.dependencies || []].concat(_.map(m.blocks, b => b.dependencies || [])));
+      if (trackedFile && _.some(deps, d => {
+        var depModule = d && self._getDependencyModule(d);
+        return depModule && depModule.resource && deletedFiles[depModule.resource];
+      })) {
+        affectedFiles[m.resource] = trackedFile;
+      }
+    });
+
+    _.each(self._compilationCache, (cachedModule, key) => {
+      if (cachedModule && cachedModule.resource && deletedFiles[cachedModule.resource]) {
+        delete self._compilationCache[key];
+      }
+    });
+
+    _.each(deletedFiles, (file, fullPath) => {
+      delete self._moduleIdByPath[fullPath];
+      delete self._testDependencies[file.id];
+      self._removeTestDependents(file.id);
+      self._compilationFileTimestamps[fullPath] = +new Date();
+    });
+
+    self._loaderEmitRequired = true;
+  }
+
+  _updateVirtualFileTimestamps(logger) {
+    // virtual files with changed contents invalidate modules depending on them, same as changed tracked files
+    var self = this;
+    _.each(self._virtualFiles.refresh(), filePath => {
+      logger.debug('Virtual file %s changed', filePath);
+      self._compilationFileTimestamps[filePath] = +new Date();
+      if (self._buildStats) {
+        self._buildStats.fileChanged(filePath);
+      }
+    });
+    _.each(self._virtualFiles.getPaths(), filePath => {
+      self._compilationFileTimestamps[filePath] = self._compilationFileTimestamps[filePath] || 1;
+    });
+  }
+
+  _updateWatchedFileTimestamps(logger, callback) {
+    // untracked files from the watch list that have changed on disk invalidate modules depending on them
+    var self = this;
+    self._inputFileSystem.getChangedWatchedFiles(changedFiles => {
+      _.each(changedFiles, filePath => {
+        logger.debug('Watched file %s changed', filePath);
+        self._compilationFileTimestamps[filePath] = +new Date();
+        if (self._buildStats) {
+          self._buildStats.fileChanged(filePath);
+        }
+      });
+      self._inputFileSystem.purge(changedFiles);
+      callback();
+    });
+  }
+
+  _compile(callback) {
+    var compiler = this._compiler;
+    if (!this._isWebpack5) {
+      var compileStartedAt = +new Date();
+      compiler.compile(err => {
+        // webpack 1-4 rebuild modules with file timestamps not older than their build time, files changed in the
+        // same millisecond as the compilation started are already built with the change
+        _.each(this._affectedModules, m => {
+          if (m.buildTimestamp <= compileStartedAt) m.buildTimestamp = compileStartedAt + 1;
+        });
+        callback(err);
+      });
+      return;
+    }
+
+    // webpack 5 checks module snapshots against the compiler file timestamps, tracked files contents are
+    // not necessarily saved to disk, so their timestamps are the ones set by the postprocessor
+    var virtualFiles = this._virtualFiles;
+    compiler.fileTimestamps = new Map(_.map(this._allTrackedFiles, (file, fullPath) => {
+      var timestamp = this._compilationFileTimestamps[fullPath] || 1;
+      return [fullPath, {safeTime: timestamp, timestamp: timestamp}];
+    }).concat(_.map(virtualFiles.getPaths(), fullPath => {
+      // same as virtual file stats modification time
+      var timestamp = virtualFiles.getTimestamp(fullPath);
+      return [fullPath, {safeTime: timestamp, timestamp: timestamp}];
+    })));
+    // same as in compiler.run, so that the compiler cache (including filesystem one) is stored when idle
+    compiler.cache.endIdle(err => {
+      if (err) {
+        callback(err);
+        return;
+      }
+      compiler.compile(err => {
+        compiler.cache.beginIdle();
+        callback(err);
+      });
+    });
+  }
+
+  _useSourceMap(m) {
+    // loaders generate source maps, and webpack composes them along the loader chain,
+    // modules of untracked files (node_modules) only have source maps when asked for
+    if (this._untrackedSourceMaps || (m.resource && this._allTrackedFiles[m.resource])) {
+      m.useSourceMap = true;
+    }
+  }
+
+  _getChangedModules(builtModules, affectedFiles) {
+    // webpack 5 modules code may change without the module being re-built (for example when a module id changes),
+    // so all modules with changed code generation results are emitted
+    var self = this;
+    var compilation = self._compiler.lastCompilation;
+    var changedModules = [];
+    _.each(Array.from(compilation.modules), m => {
+      var chunk = WebpackPostprocessor._getModuleChunk(compilation, m);
+      if (!chunk || !m.getSourceTypes().has('javascript') || !compilation.codeGenerationResults.has(m, chunk.runtime)) return;
+
+      var hash = compilation.codeGenerationResults.getHash(m, chunk.runtime) + '|' + self._getId(m);
+      var identifier = m.identifier();
+      if (self._emittedModuleHashes[identifier] === hash && builtModules.indexOf(m) === -1) return;
+      self._emittedModuleHashes[identifier] = hash;
+
+      var trackedFile = m.resource && self._allTrackedFiles[m.resource];
+      if (trackedFile) {
+        affectedFiles[m.resource] = trackedFile;
+      }
+      changedModules.push(m);
+    });
+    return changedModules;
   }
 
   _addHarmonyModulesAffectedDependencies(affectedModules, affectedFiles) {
@@ -280,7 +806,7 @@ class WebpackPostprocessor {
     var allAffectedModulesList = [];
     var visitedDeps = {};
     _.each(affectedModules, m => {
-      if (!_.isNumber(m.id)) {
+      if (_.isNil(m.id)) {
         allAffectedModulesList.push(m);
       } else {
         allAffectedModules[m.id] = m;
@@ -291,7 +817,7 @@ class WebpackPostprocessor {
           dep => dep && dep.constructor && (typeof dep.constructor.name === 'string')
             && (dep.constructor.name.indexOf('HarmonyExport') === 0) && dep.originModule && dep.originModule.issuer,
           (m, f) => {
-            if (_.isNumber(m.id)) {
+            if (!_.isNil(m.id)) {
               allAffectedModules[m.id] = m;
             } else {
               allAffectedModulesList.push(m);
@@ -307,6 +833,135 @@ class WebpackPostprocessor {
     return allAffectedModulesList.concat(_.values(allAffectedModules));
   }
 
+  _updateTestDependencies(affectedModules) {
+    // dependencies are only re-computed for affected tests and for tests depending on affected modules,
+    // the rest of the tests dependency graphs can not change
+    // (graphs restored from the persistent cache can not change either for modules restored from it)
+    var self = this;
+    var affected = new Set(_.filter(affectedModules, m => !self._restoredModules.has(m)));
+    var testIdsToUpdate = {};
+    affected.forEach(m => _.assign(testIdsToUpdate, self._testDependents[WebpackPostprocessor._getModuleKey(m)]));
+
+    _.each(Array.from(self._compiler.lastCompilation.modules), m => {
+      var testFile = m.resource && self._allTrackedFiles[m.resource];
+      if (!testFile || !testFile.test) return;
+      if (self._testModuleKeys[testFile.id] && !affected.has(m) && !testIdsToUpdate[testFile.id]) return;
+
+      self._removeTestDependents(testFile.id);
+      var depIds = [];
+      var moduleKeys = [];
+      self._traverseModuleGraph(m, dependency => {
+        var moduleKey = WebpackPostprocessor._getModuleKey(dependency);
+        moduleKeys.push(moduleKey);
+        (self._testDependents[moduleKey] || (self._testDependents[moduleKey] = {}))[testFile.id] = true;
+        var trackedDepFile = dependency !== m && dependency.resource && self._allTrackedFiles[dependency.resource];
+        if (trackedDepFile) depIds.push(trackedDepFile.id);
+      });
+      self._testDependencies[testFile.id] = _.uniq(depIds);
+      self._testModuleKeys[testFile.id] = moduleKeys;
+    });
+  }
+
+  _restoreBuildState(logger) {
+    // module ids, async chunk ids and test dependency graphs of the previous wallaby session, so that module files
+    // keep their names after a restart, and dependencies of tests are not traversed again if nothing changed
+    var self = this;
+    if (!self._fullRun || !self._persistentCache) return Promise.resolve();
+    return new Promise(resolve => self._persistentCache.read(BUILD_STATE_KEY, state => {
+      if (state) {
+        self._applyBuildState(state);
+        logger.debug('Build state restored from the persistent cache');
+      }
+      resolve();
+    }));
+  }
+
+  _applyBuildState(state) {
+    var self = this;
+    var fileByPath = _.keyBy(_.values(self._allTrackedFiles), 'path');
+    // webpack revives module ids from the compiler records (RecordIdsPlugin)
+    self._compiler.records = state.records || {};
+    self._chunkIdByBlockKey = state.chunkIdByBlockKey || {};
+    self._nextChunkId = state.nextChunkId || 0;
+    // tracked files are stored by path, file ids are only valid for the wallaby session
+    _.each(state.tests, (test, testPath) => {
+      var testFile = fileByPath[testPath];
+      if (!testFile || !testFile.test) return;
+      self._testDependencies[testFile.id] = _.compact(_.map(test.dependencies, p => fileByPath[p] && fileByPath[p].id));
+      self._testModuleKeys[testFile.id] = test.moduleKeys;
+      _.each(test.moduleKeys, moduleKey => {
+        (self._testDependents[moduleKey] || (self._testDependents[moduleKey] = {}))[testFile.id] = true;
+      });
+    });
+  }
+
+  _storeBuildState() {
+    var self = this;
+    var pathById = _.mapValues(_.keyBy(_.values(self._allTrackedFiles), 'id'), 'path');
+    var state = {
+      records: self._compiler.records,
+      chunkIdByBlockKey: self._chunkIdByBlockKey,
+      nextChunkId: self._nextChunkId,
+      tests: _.reduce(self._testModuleKeys, (memo, moduleKeys, testId) => {
+        if (pathById[testId]) {
+          memo[pathById[testId]] = {
+            dependencies: _.compact(_.map(self._testDependencies[testId], id => pathById[id])),
+            moduleKeys: moduleKeys
+          };
+        }
+        return memo;
+      }, {})
+    };
+    // only written when changed
+    var content = JSON.stringify(state);
+    if (content === self._buildStateContent) return;
+    self._buildStateContent = content;
+    self._persistentCache.write(BUILD_STATE_KEY, state);
+  }
+
+  _removeTestDependents(testId) {
+    var self = this;
+    _.each(self._testModuleKeys[testId], moduleKey => {
+      var testIds = self._testDependents[moduleKey];
+      if (!testIds) return;
+      delete testIds[testId];
+      if (_.isEmpty(testIds)) {
+        delete self._testDependents[moduleKey];
+      }
+    });
+    delete self._testModuleKeys[testId];
+  }
+
+  _traverseModuleGraph(rootModule, onModule) {
+    // untracked modules (node_modules, loader generated modules) are traversed too, as they may import tracked ones,
+    // modules are visited by identifier, because the same resource may be loaded with different loaders
+    var self = this;
+    var visited = {};
+    var modules = [rootModule];
+    while (modules.length) {
+      var m = modules.pop();
+      var identifier = m.identifier();
+      if (visited[identifier]) continue;
+      visited[identifier] = true;
+      onModule(m);
+      _.each(WebpackPostprocessor._getAllDependencies(m), dep => {
+        var depModule = dep && self._getDependencyModule(dep);
+        if (depModule) modules.push(depModule);
+      });
+    }
+  }
+
+  static _getAllDependencies(block) {
+    // including dependencies of async blocks, lazily loaded modules are used by tests as well
+    return _.flatten([block.dependencies || []]
+      .concat(_.map(block.variables, v => v.dependencies || []))
+      .concat(_.map(block.blocks, b => WebpackPostprocessor._getAllDependencies(b))));
+  }
+
+  static _getModuleKey(m) {
+    return m.resource || m.identifier();
+  }
+
   _traverseDependencies(deps, moduleGetter, onDependency, visitedDeps) {
     var self = this;
     _.each(deps, function (dep) {
@@ -329,14 +984,60 @@ class WebpackPostprocessor {
     }, {});
   }
 
-  _createCompiler(mandatoryOpts, nodeModulesDir) {
+  _createCompiler(mandatoryOpts, nodeModulesDir, logger) {
     var isOptionsSchemaEnforced = !!this._webpack.validate;
     var hasMode = !!this._webpack.web;
     if (hasMode) {
       this._opts.mode = 'none';
     }
 
-    var mergedOpts = _.merge({}, this._opts, mandatoryOpts);
+    var mergedOpts = this._webpackConfig.applyOverrides(_.merge({}, this._opts, mandatoryOpts), logger, this._isWebpack5);
+    this._externalModules.configure(mergedOpts, this._isWebpack5);
+
+    if (this._parallel) {
+      this._workerPool = this._createWorkerPool(logger);
+    }
+
+    var configHash = this._cacheDirectory && PersistentCache.hashConfig({
+      // entries are not a part of the key, otherwise adding a test file would invalidate the whole cache
+      config: _.omit(mergedOpts, 'entry'),
+      webpack: this._webpackVersion,
+      // loader output changes with loader versions
+      loaders: this._cacheDirectory && WebpackPostprocessor._getLoaderVersions(
+        WebpackConfig.getLoaders(mergedOpts), _.compact([mergedOpts.context || process.cwd(), nodeModulesDir])),
+      // module ids are a part of the stored build state
+      moduleIds: this._moduleIdsStrategy || null,
+      postprocessor: require('./package.json').version
+    });
+
+    if (configHash) {
+      this._persistentCache = new PersistentCache(this._cacheDirectory, configHash);
+    }
+
+    if (this._isWebpack5) {
+      // webpack 5 has its own persistent cache for module builds (the postprocessor one only stores the build state),
+      // and needs its memory cache to not re-build unchanged modules
+      mergedOpts.cache = configHash
+        ? {type: 'filesystem', cacheDirectory: path.join(this._cacheDirectory, 'webpack'), name: configHash}
+        : {type: 'memory'};
+      if (configHash) {
+        // timestamps of tracked files are not persistent between wallaby restarts, contents are
+        mergedOpts.snapshot = _.merge({}, mergedOpts.snapshot, {module: {timestamp: false, hash: true}});
+      }
+      // module code is emitted per module, so modules must not be concatenated, mangled or tree-shaken
+      mergedOpts.optimization = _.merge({}, mergedOpts.optimization, {
+        minimize: false,
+        concatenateModules: false,
+        usedExports: false,
+        mangleExports: false,
+        splitChunks: false,
+        runtimeChunk: false
+      });
+      if (this._moduleIdsStrategy) {
+        // ids are assigned by the postprocessor
+        mergedOpts.optimization.moduleIds = false;
+      }
+    }
 
     WebpackPostprocessor._configureModules('modules', false, nodeModulesDir, this._opts, mergedOpts);
     WebpackPostprocessor._configureModules('modules', true, nodeModulesDir, this._opts, mergedOpts);
@@ -368,9 +1069,14 @@ class WebpackPostprocessor {
 
   _configureCompiler(compiler) {
     var self = this;
+    if (self._isWebpack5) {
+      return self._configureWebpack5Compiler(compiler);
+    }
+
     compiler.plugin('this-compilation', function (compilation) {
 
       compiler.lastCompilation = compilation;
+      self._skipDeletedEntries(compilation);
       compilation.cache = self._compilationCache;
       self._compilationFileTimestamps.get = function (f) {
         return self._compilationFileTimestamps[f];
@@ -379,10 +1085,34 @@ class WebpackPostprocessor {
       self._moduleTemplate = (compilation.moduleTemplates && compilation.moduleTemplates.javascript) || compilation.moduleTemplate;
       self._dependencyTemplates = compilation.dependencyTemplates;
 
+      if (self._moduleIdsStrategy) {
+        compilation.plugin('before-module-ids', function (modules) {
+          self._assignModuleIds(modules, m => m.id, (m, id) => {
+            m.id = id;
+          }, compiler.context);
+        });
+      }
+
       compilation.plugin('build-module', function (m) {
         self._affectedModules.push(m);
+        self._useSourceMap(m);
+        if (self._persistentCache) {
+          self._usePersistentCache(m);
+        }
+        if (self._workerPool) {
+          self._useWorkerPool(m);
+        }
+        if (self._buildStats) {
+          self._buildStats.moduleBuildStarted(m);
+        }
       });
 
+      if (self._buildStats) {
+        compilation.plugin('normal-module-loader', (loaderContext, m) => self._buildStats.loadersStarted(m));
+        compilation.plugin('succeed-module', m => self._buildStats.moduleBuildFinished(m, false));
+        compilation.plugin('failed-module', m => self._buildStats.moduleBuildFinished(m, true));
+      }
+
       // Some plugins and operations are not necessary in wallaby context and very time consuming with many chunks
 
       self._removePlugins('', compilation);
@@ -409,10 +1139,253 @@ class WebpackPostprocessor {
       return false;
     });
 
+    compiler.inputFileSystem = self._inputFileSystem;
+    // webpack 1-3 resolvers are created with the default file system, virtual files need to be resolved too
+    if (!self._virtualFiles.isEmpty()) {
+      _.each(compiler.resolvers, resolver => {
+        if (resolver && resolver.fileSystem) {
+          resolver.fileSystem = self._inputFileSystem;
+        }
+      });
+    }
+    return compiler;
+  }
+
+
+  _configureWebpack5Compiler(compiler) {
+    var self = this;
+    compiler.hooks.thisCompilation.tap(PLUGIN_NAME, compilation => {
+      compiler.lastCompilation = compilation;
+      self._moduleGraph = compilation.moduleGraph;
+      self._skipDeletedEntries(compilation);
+
+      compilation.hooks.buildModule.tap(PLUGIN_NAME, m => {
+        self._affectedModules.push(m);
+        self._useSourceMap(m);
+        if (self._workerPool) {
+          self._useWorkerPool(m);
+        }
+        if (self._buildStats) {
+          self._buildStats.moduleBuildStarted(m);
+        }
+      });
+
+      if (self._buildStats) {
+        var normalModuleHooks = self._webpack.NormalModule.getCompilationHooks(compilation);
+        normalModuleHooks.loader.tap(PLUGIN_NAME, (loaderContext, m) => self._buildStats.loadersStarted(m));
+        compilation.hooks.succeedModule.tap(PLUGIN_NAME, m => self._buildStats.moduleBuildFinished(m, false));
+        compilation.hooks.failedModule.tap(PLUGIN_NAME, m => self._buildStats.moduleBuildFinished(m, true));
+      }
+
+      if (self._moduleIdsStrategy) {
+        compilation.hooks.moduleIds.tap(PLUGIN_NAME, modules => {
+          var chunkGraph = compilation.chunkGraph;
+          self._assignModuleIds(Array.from(modules), m => chunkGraph.getModuleId(m), (m, id) => {
+            chunkGraph.setModuleId(m, id);
+          }, compiler.context);
+        });
+      }
+
+      // module code generation results are used instead of chunks
+      compilation.hooks.shouldGenerateChunkAssets.tap(PLUGIN_NAME, () => false);
+    });
+
+    compiler.hooks.shouldEmit.tap(PLUGIN_NAME, () => false);
+
     compiler.inputFileSystem = self._inputFileSystem;
     return compiler;
   }
 
+  _skipDeletedEntries(compilation) {
+    var self = this;
+    // entry plugins can not be removed from the compiler, so entries of deleted files are skipped
+    var addEntry = compilation.addEntry;
+    compilation.addEntry = function (context, entry, optionsOrName, callback) {
+      var name = (optionsOrName && typeof optionsOrName === 'object') ? optionsOrName.name : optionsOrName;
+      if (self._compilerEntries[name] && !self._entryFiles[name]) {
+        return callback();
+      }
+      return addEntry.apply(this, arguments);
+    };
+  }
+
+  _assignAsyncChunks() {
+    // chunk processing is disabled for webpack 1-4, so each async block (`import()`, `require.ensure`) gets a chunk
+    // with a stable id, only used by the test loader to find out which module files the block needs to load
+    var self = this;
+    var asyncChunks = {};
+    var assignBlockChunks = (blocks, blocksKey) => {
+      _.each(blocks, (block, index) => {
+        var blockKey = blocksKey + '|' + index;
+        var chunkId = self._chunkIdByBlockKey[blockKey];
+        if (chunkId === undefined) {
+          chunkId = self._chunkIdByBlockKey[blockKey] = self._nextChunkId++;
+        }
+        var chunk = {id: chunkId, ids: [chunkId], entry: false, initial: false, hasRuntime: () => false, isInitial: () => false};
+        // webpack 4 renders async blocks from their chunk group, `block.chunks` throws there
+        if ('chunkGroup' in block) {
+          block.chunkGroup = {chunks: [chunk]};
+        } else {
+          block.chunks = [chunk];
+        }
+        var modules = asyncChunks[chunkId] = [];
+        self._collectModules(block.dependencies, modules, {});
+        _.each(block.variables, v => self._collectModules(v.dependencies, modules, {}));
+        assignBlockChunks(block.blocks, blockKey);
+      });
+    };
+    _.each(self._compiler.lastCompilation.modules, m => assignBlockChunks(m.blocks, m.identifier()));
+    return asyncChunks;
+  }
+
+  _collectModules(deps, modules, visitedModules) {
+    var self = this;
+    _.each(deps, dep => {
+      var m = dep && self._getDependencyModule(dep);
+      if (!m) return;
+      var identifier = m.identifier();
+      if (visitedModules[identifier]) return;
+      visitedModules[identifier] = true;
+      modules.push(m);
+      // nested async blocks are chunks of their own
+      self._collectModules(m.dependencies, modules, visitedModules);
+      _.each(m.variables, v => self._collectModules(v.dependencies, modules, visitedModules));
+    });
+  }
+
+  _getWebpack5AsyncChunks() {
+    var compilation = this._compiler.lastCompilation;
+    var asyncChunks = {};
+    _.each(Array.from(compilation.chunks), chunk => {
+      if (chunk.canBeInitial()) return;
+      asyncChunks[chunk.id] = Array.from(compilation.chunkGraph.getChunkModulesIterable(chunk))
+        .filter(m => m.getSourceTypes().has('javascript'));
+    });
+    return asyncChunks;
+  }
+
+  _getAsyncChunksContent(asyncChunks) {
+    var self = this;
+    var chunkModuleIds = _.mapValues(asyncChunks, modules => _.uniq(_.map(modules, m => {
+      var trackedFile = m.resource && self._allTrackedFiles[m.resource];
+      return self._getModuleId(m, trackedFile, self._isEntryFile(trackedFile));
+    })));
+    // in browser only async chunk module files are loaded on demand (in node, all module files are, and are
+    // emitted with the module lookup maps)
+    return self._registry + '.chunks = ' + JSON.stringify(chunkModuleIds) + ';'
+      + (self._isNodeTarget ? '' : (self._registry + '.files = '
+        + JSON.stringify(_.pick(self._moduleFileById, _.flatten(_.values(chunkModuleIds)))) + ';'));
+  }
+
+  _writeBuildStats(diagnostics, logger) {
+    var self = this;
+    var context = self._compiler.context;
+    var testPathById = _.mapValues(_.keyBy(_.filter(self._allTrackedFiles, 'test'), 'id'), 'path');
+    self._buildStats.write({
+      version: self._webpackVersion,
+      modules: _.map(Array.from(self._compiler.lastCompilation.modules), m => ({
+        id: self._getId(m),
+        identifier: m.identifier(),
+        name: WebpackPostprocessor._getModuleIdent(m, context),
+        size: m.size ? m.size() : null
+      })),
+      // dependencies include untracked modules, the test file itself is not counted
+      tests: _.map(self._testModuleKeys, (moduleKeys, testId) => ({
+        file: testPathById[testId] || testId,
+        dependencies: moduleKeys.length - 1
+      })),
+      errors: _.map(_.filter(diagnostics, {severity: 'error'}), WebpackPostprocessor._formatDiagnostic),
+      warnings: _.map(_.filter(diagnostics, {severity: 'warning'}), WebpackPostprocessor._formatDiagnostic),
+      fullRun: self._fullRun
+    }, logger);
+  }
+
+  _getDiagnostics(compilation) {
+    // compilation errors and warnings mapped to the files (and locations in the files) that caused them,
+    // along with the tests depending on the files
+    var self = this;
+    var toDiagnostic = (severity, e) => {
+      var m = e && (e.module || e.origin);
+      var trackedFile = m && m.resource && self._allTrackedFiles[m.resource];
+      var location = WebpackPostprocessor._getErrorLocation(e);
+      var testIds = m && self._testDependents[WebpackPostprocessor._getModuleKey(m)];
+      return {
+        severity: severity,
+        message: ((typeof e === 'string') && e) || (e && e.message) || String(e),
+        file: trackedFile ? trackedFile.path : ((m && m.resource) || null),
+        line: location ? location.line : null,
+        column: location ? location.column : null,
+        tests: _.keys(testIds),
+        module: m && m.identifier ? m : null
+      };
+    };
+    return _.map(compilation && compilation.errors, e => toDiagnostic('error', e))
+      .concat(_.map(compilation && compilation.warnings, e => toDiagnostic('warning', e)));
+  }
+
+  static _getErrorLocation(e) {
+    // webpack reports locations differently depending on the error type and webpack version:
+    // as error or dependency `loc` (object or 'line:column' string) or only in the error message
+    // dependency locations are in the requesting module, that is not always the module the error is reported for
+    var isInRequestingModule = e && (!e.origin || !e.module || e.origin === e.module);
+    var loc = e && (e.loc || (e.error && e.error.loc)
+      || (isInRequestingModule && e.dependencies && e.dependencies[0] && e.dependencies[0].loc));
+    var match;
+    if (typeof loc === 'string') {
+      match = /^(\d+):(\d+)/.exec(loc);
+      loc = match && {line: parseInt(match[1], 10), column: parseInt(match[2], 10)};
+    }
+    var start = loc && (loc.start || loc);
+    if (start && typeof start.line === 'number') {
+      return {line: start.line, column: start.column || 0};
+    }
+    match = e && typeof e.message === 'string' && /\((\d+):(\d+)\)/.exec(e.message);
+    return match ? {line: parseInt(match[1], 10), column: parseInt(match[2], 10)} : null;
+  }
+
+  static _formatDiagnostic(diagnostic) {
+    var location = diagnostic.file
+      ? (diagnostic.file + (diagnostic.line !== null ? (':' + diagnostic.line + ':' + diagnostic.column) : '') + ': ')
+      : '';
+    return location + diagnostic.message;
+  }
+
+  _getModuleErrorsContent(diagnostics) {
+    // requiring a module that failed to compile throws its compilation error,
+    // so that tests depending on the module fail with it instead of a missing module error
+    var self = this;
+    var errors = {};
+    _.each(diagnostics, d => {
+      if (d.severity !== 'error' || !d.module) return;
+      var trackedFile = d.module.resource && self._allTrackedFiles[d.module.resource];
+      var moduleId = self._getModuleId(d.module, trackedFile, self._isEntryFile(trackedFile));
+      if (moduleId === null || moduleId === undefined) return;
+      errors[moduleId] = (errors[moduleId] ? (errors[moduleId] + '\n') : '') + WebpackPostprocessor._formatDiagnostic(d);
+    });
+    return _.isEmpty(errors) ? '' : (self._registry + '.errors = ' + JSON.stringify(errors) + ';');
+  }
+
+  static _resolvePatterns(patterns) {
+    return _.map(_.isString(patterns) ? [patterns] : patterns, p => path.resolve(process.cwd(), p));
+  }
+
+  static _matchesPatterns(filePath, patterns) {
+    // entries are globs or paths of files/directories
+    return _.some(patterns, p => filePath === p || _.startsWith(filePath, p + path.sep) || mm(filePath, p, {dot: true}));
+  }
+
+  _getId(m) {
+    return this._isWebpack5 ? this._compiler.lastCompilation.chunkGraph.getModuleId(m) : m.id;
+  }
+
+  _getDependencyModule(dep) {
+    // webpack 5 dependencies don't reference modules directly, module graph does
+    return this._isWebpack5 ? this._moduleGraph.getModule(dep) : dep.module;
+  }
+
+  static _getModuleChunk(compilation, m) {
+    return _.first(Array.from(compilation.chunkGraph.getModuleChunksIterable(m)));
+  }
 
   _removePlugins(i, compilation) {
     var name = 'applyPlugins' + i;
@@ -429,24 +1402,279 @@ class WebpackPostprocessor {
     }
   }
 
-  _getSource(m, file) {
+  _usePersistentCache(m) {
     var self = this;
-    // to avoid wrapping module into a function, we do it a bit differently in _wrapSourceFile
-    self._moduleTemplate._plugins && (self._moduleTemplate._plugins['render'] = []);
-    self._moduleTemplate.hooks && (self._moduleTemplate.hooks['render'] = {call: a => a, tap: a => a});
+    var doBuild = m.doBuild;
+    if (!m.request || typeof doBuild !== 'function') return;
+
+    m.doBuild = function (options, compilation, resolver, fs, callback) {
+      var module = this;
+      self._persistentCache.read(m.request, record => {
+        self._isCacheRecordValid(record, isValid => {
+          if (isValid) {
+            self._restoreModuleBuild(module, record);
+            self._restoredModules.add(module);
+            callback();
+            return;
+          }
+          doBuild.call(module, options, compilation, resolver, fs, err => {
+            if (!err) {
+              self._storeModuleBuild(module);
+            }
+            callback(err);
+          });
+        });
+      });
+    };
+  }
+
+  _getWebpackDir() {
+    var webpackModule = _.find(require.cache, m => m.exports === this._webpack);
+    return webpackModule ? path.dirname(webpackModule.filename) : process.cwd();
+  }
 
-    var node = self._moduleTemplate.render(m, self._dependencyTemplates, {modules: [m]});
+  _createWorkerPool(logger) {
+    // workers run loaders with the loader runner of the used webpack version
+    var webpackDir = this._getWebpackDir();
+    var loaderRunnerPath = WebpackPostprocessor._tryResolveFrom('loader-runner', [webpackDir, process.cwd()])
+      || WebpackPostprocessor._tryResolveFrom('../lib/loaders/LoaderRunner', [webpackDir]);
+    if (!loaderRunnerPath) {
+      logger.debug('Parallel module builds are disabled, webpack loader runner is not found (webpack 2 or later is required)');
+      return null;
+    }
+    var size = _.isNumber(this._parallel) ? this._parallel : (require('os').cpus().length - 1);
+    logger.debug('Heavy loaders are running in ' + Math.max(1, size) + ' worker processes');
+    return new WorkerPool(size, loaderRunnerPath);
+  }
+
+  _useWorkerPool(m) {
+    // the loader chain of modules with heavy loaders is passed to a worker process, starting from the first heavy loader;
+    // loaders with options that can not be sent to another process (functions, regular expressions, etc.) run in place
+    var loaders = m.loaders;
+    if (!_.isArray(loaders) || !m.resource || _.some(loaders, l => l && l.loader === PARALLEL_LOADER)) return;
+    var index = _.findIndex(loaders,
+      l => l && _.isString(l.loader) && _.some(this._parallelLoaders, name => WebpackConfig.isLoader(l.loader, name)));
+    if (index === -1 || !_.every(loaders.slice(index), l => WebpackPostprocessor._isSerializable(l.options))) return;
+    loaders.splice(index, 0, {loader: PARALLEL_LOADER, options: {pool: this._workerPool.getId()}, ident: 'wallaby-webpack-parallel'});
+  }
+
+  static _isSerializable(value) {
+    if (value === undefined || value === null || _.isString(value) || _.isNumber(value) || _.isBoolean(value)) return true;
+    return (_.isArray(value) || _.isPlainObject(value)) && _.every(value, WebpackPostprocessor._isSerializable);
+  }
+
+  _isCacheRecordValid(record, callback) {
+    var self = this;
+    if (!record || !record.files) return callback(false);
+    var files = _.keys(record.files);
+    var pending = files.length;
+    var isValid = true;
+    if (!pending) return callback(false);
+    _.each(files, f => {
+      self._inputFileSystem.readFile(f, (err, content) => {
+        if (err || PersistentCache.hash(content) !== record.files[f]) {
+          isValid = false;
+        }
+        if (!--pending) callback(isValid);
+      });
+    });
+  }
+
+  _storeModuleBuild(m) {
+    var self = this;
+    var buildInfo = m.buildInfo || m;
+    var source = m._source && m._source.source();
+    var fileDependencies = _.toArray(buildInfo.fileDependencies);
+    // modules that emit assets, report warnings or watch directories can not be fully restored from the cache
+    if (!buildInfo.cacheable || typeof source !== 'string' || !fileDependencies.length
+      || !_.isEmpty(buildInfo.assets) || !_.isEmpty(m.assets) || !_.isEmpty(m.warnings)
+      || !_.isEmpty(_.toArray(buildInfo.contextDependencies))) return;
+
+    var record = {source: source, map: (m.useSourceMap && m._source.map()) || null, files: {}};
+    var pending = fileDependencies.length;
+    _.each(fileDependencies, f => {
+      self._inputFileSystem.readFile(f, (err, content) => {
+        if (!record) return;
+        if (err) {
+          record = null;
+          return;
+        }
+        record.files[f] = PersistentCache.hash(content);
+        if (!--pending) self._persistentCache.write(m.request, record);
+      });
+    });
+  }
+
+  _restoreModuleBuild(m, record) {
+    var fileDependencies = _.keys(record.files);
+    m._source = this._createModuleSource(m, record.source, record.map);
+    if (m.buildInfo) {
+      m.buildInfo.cacheable = true;
+      m.buildInfo.fileDependencies = new Set(fileDependencies);
+      m.buildInfo.contextDependencies = new Set();
+    } else {
+      m.cacheable = true;
+      m.fileDependencies = fileDependencies;
+      m.contextDependencies = [];
+    }
+  }
+
+  _createModuleSource(m, source, map) {
+    if (typeof m.createSource === 'function') return m.createSource(source, null, map);
+    // webpack 1 creates module sources with webpack-core classes when loaders finish
+    var sourcePath = WebpackPostprocessor._tryResolveFrom(
+      'webpack-core/lib/' + (m.useSourceMap && map ? 'SourceMapSource' : 'OriginalSource'), [this._getWebpackDir()]);
+    var Source = require(sourcePath);
+    return m.useSourceMap && map ? new Source(source, m.identifier(), map) : new Source(source, m.identifier());
+  }
+
+  _getSource(m, moduleId) {
+    var self = this;
+    // externals are rendered by webpack for the bundle library target, so they are replaced with shims
+    var shim = self._externalModules.getShim(m, self._isNodeTarget);
+    var node = shim
+      ? {source: () => shim, map: () => null}
+      : (self._isWebpack5 ? self._renderWebpack5Module(m) : self._renderModule(m));
+    var code = node.source();
+    // CSS of webpack 5 css modules is injected by the module, as there are no CSS chunk files
+    var css = self._isWebpack5 && self._getWebpack5CodeGeneration(m).sources.get('css');
+    if (css) {
+      code += '\n' + WebpackPostprocessor._getStyleInjection(moduleId, String(css.source()));
+    }
 
     return {
-      code: WebpackPostprocessor._wrapSourceFile(WebpackPostprocessor._getModuleId(m, file, self._isEntryFile(file)), node.source(), m.strict),
+      code: WebpackPostprocessor._wrapSourceFile(moduleId, code,
+        self._isWebpack5 ? m.buildInfo.strict : m.strict, self._registry),
       map: () => node.map()
     };
   }
 
+  static _normalizeSourceMap(map, m) {
+    // source names are module identifiers (including loaders) or names given by loaders,
+    // they are mapped to the file paths, so that coverage and stack traces point to the real files
+    if (!map) return null;
+    map = _.clone(_.isString(map) ? JSON.parse(map) : map);
+    var resource = m.resource && m.resource.split('?')[0];
+    var context = resource ? path.dirname(resource) : m.context;
+    map.sources = _.map(map.sources, source => {
+      var name = String(source).replace(/^webpack:\/\/\/?/, '').replace(/^[\w/-]+\|/, '');
+      name = name.slice(name.lastIndexOf('!') + 1).split('?')[0];
+      if (map.sourceRoot && !path.isAbsolute(name)) name = map.sourceRoot.replace(/\/?$/, '/') + name;
+      if (!name) return resource || source;
+      if (path.isAbsolute(name)) return name;
+      // loaders commonly name the source by the file name only
+      if (resource && path.basename(name) === path.basename(resource)) return resource;
+      return context ? path.resolve(context, name) : name;
+    });
+    delete map.sourceRoot;
+    return map;
+  }
+
+  _renderModule(m) {
+    var self = this;
+    // to avoid wrapping module into a function, we do it a bit differently in _wrapSourceFile
+    self._moduleTemplate._plugins && (self._moduleTemplate._plugins['render'] = []);
+    self._moduleTemplate.hooks && (self._moduleTemplate.hooks['render'] = {call: a => a, tap: a => a});
+
+    return self._moduleTemplate.render(m, self._dependencyTemplates, {modules: [m]});
+  }
+
+  _getWebpack5CodeGeneration(m) {
+    var compilation = this._compiler.lastCompilation;
+    var runtime = WebpackPostprocessor._getModuleChunk(compilation, m).runtime;
+    var codeGenerationResults = compilation.codeGenerationResults;
+    return codeGenerationResults.has(m, runtime)
+      ? _.assign({runtime: runtime}, codeGenerationResults.get(m, runtime))
+      : {runtime: runtime, sources: new Map(), data: new Map()};
+  }
+
+  _getModuleAssets(m) {
+    // files emitted by loaders (file-loader, url-loader, etc.) with `this.emitFile`
+    var buildInfo = this._isWebpack5 ? m.buildInfo : (m.buildInfo || m);
+    var assets = _.map(buildInfo && buildInfo.assets, (source, name) => ({name: name, content: source.source()}));
+    if (!this._isWebpack5) return assets;
+
+    var codeGeneration = this._getWebpack5CodeGeneration(m);
+    var asset = codeGeneration.sources.get('asset');
+    var filename = codeGeneration.data && codeGeneration.data.get('filename');
+    if (asset && filename) {
+      assets.push({name: filename, content: asset.source()});
+    }
+    // async WebAssembly modules are instantiated from the file named by the module hash (see _getAsyncModuleLoader)
+    var wasm = codeGeneration.sources.get('webassembly');
+    if (wasm) {
+      var hash = this._compiler.lastCompilation.chunkGraph.getRenderedModuleHash(m, codeGeneration.runtime);
+      assets.push({name: hash + '.module.wasm', content: wasm.source()});
+    }
+    return assets;
+  }
+
+  _hasAsyncModules() {
+    // modules using top-level await or importing WebAssembly, test files importing them are loaded asynchronously
+    if (!this._isWebpack5) return false;
+    var compilation = this._compiler.lastCompilation;
+    return _.some(Array.from(compilation.modules), m => compilation.moduleGraph.isAsync(m));
+  }
+
+  _renderWebpack5Module(m) {
+    var compilation = this._compiler.lastCompilation;
+    var chunk = WebpackPostprocessor._getModuleChunk(compilation, m);
+    var codeGenerationResults = compilation.codeGenerationResults;
+    var source = codeGenerationResults.getSource(m, chunk.runtime, 'javascript');
+    // same as JavascriptModulesPlugin.renderModule, but without wrapping module into a factory function
+    return this._webpack.javascript.JavascriptModulesPlugin.getCompilationHooks(compilation).renderModuleContent.call(source, m, {
+      chunk: chunk,
+      chunkGraph: compilation.chunkGraph,
+      moduleGraph: compilation.moduleGraph,
+      runtimeTemplate: compilation.runtimeTemplate,
+      dependencyTemplates: compilation.dependencyTemplates,
+      codeGenerationResults: codeGenerationResults,
+      strictMode: false
+    });
+  }
+
   _isEntryFile(file) {
     return this._entryPatterns && file && !!this._entryFiles[file.fullPath];
   }
 
+  static _tryResolveFrom(request, paths) {
+    try {
+      return require.resolve(request, {paths: paths});
+    }
+    catch (e) {
+      return null;
+    }
+  }
+
+  static _getLoaderVersions(loaders, paths) {
+    // packaged loaders are versioned by their package version, other loader files by their content
+    return _.reduce(loaders, (memo, loader) => {
+      var requests = path.isAbsolute(loader) || _.startsWith(loader, '.') || _.endsWith(loader, '-loader')
+        ? [loader] : [loader + '-loader', loader];
+      var loaderPath = _.reduce(requests, (found, request) => found || WebpackPostprocessor._tryResolveFrom(request, paths), null);
+      if (!loaderPath) return memo;
+      var packageJsonPath = WebpackPostprocessor._findPackageJson(loaderPath);
+      try {
+        memo[loader] = packageJsonPath
+          ? JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')).version
+          : PersistentCache.hash(fs.readFileSync(loaderPath));
+      }
+      catch (e) {
+        // unreadable loaders are not a part of the key
+      }
+      return memo;
+    }, {});
+  }
+
+  static _findPackageJson(file) {
+    // only loaders installed as packages have a version, the package is the directory under the last node_modules
+    var parts = file.split(path.sep);
+    var index = parts.lastIndexOf('node_modules');
+    if (index === -1 || index + 2 >= parts.length) return null;
+    var packageJsonPath = parts.slice(0, index + (parts[index + 1][0] === '@' ? 3 : 2)).concat('package.json').join(path.sep);
+    return fs.existsSync(packageJsonPath) ? packageJsonPath : null;
+  }
+
   static _tryRequireFrom(location) {
     try {
       return require(location);
@@ -456,49 +1684,404 @@ class WebpackPostprocessor {
     }
   }
 
-  static _getModuleId(m, file, isEntryFile) {
+  _getModuleId(m, file, isEntryFile) {
     var testFile = file && file.test;
-    if (m.meta && m.meta['aurelia-id']) return m.meta['aurelia-id'];
-    if (m.buildMeta && m.buildMeta['aurelia-id']) return m.buildMeta['aurelia-id'];
-    if (testFile || !_.isNumber(m.id) || isEntryFile) return m.resource;
-    return m.id;
+    var id = this._getId(m);
+    if (testFile || isEntryFile || (!_.isNumber(id) && !this._moduleIdsStrategy)) id = m.resource;
+    // plugins may register modules by their own ids
+    return this._plugins.resolveModuleId(id, {
+      module: m,
+      file: file,
+      isEntryFile: !!isEntryFile,
+      isTestFile: !!testFile
+    }, this._pluginContext);
+  }
+
+  _getModuleFilePath(id, trackedFile, isTestFile) {
+    // adding the suffix to store webpack file along with the original copies for tracked files
+    // for non-tracked files path/name doesn't matter, just has to be unique for each file
+    // modules of entry groups are emitted to files of their own, as a module may be built differently for each group
+    if (!trackedFile) {
+      var modulesDir = path.join('__modules', this._entryGroup || '');
+      if (!this._moduleIdsStrategy) return path.join(modulesDir, id + '.js');
+      var name = String(id).replace(/^\.\//, '').replace(/\.\.\//g, '__/').replace(/[^\w.\/-]+/g, '_');
+      return path.join(modulesDir, _.endsWith(name, '.js') ? name : name + '.js');
+    }
+    // adding id because same resource may be loaded more than once with different ids, for example:
+    // var a = require('./a'); var b = require('imports?window=mocked!./a');
+    var suffix = '';
+    if (!isTestFile) {
+      if (this._entryGroup) {
+        suffix = '.' + this._entryGroup;
+      }
+      if (_.isNumber(id)) {
+        suffix += '.' + id;
+      } else if (this._moduleIdsStrategy === 'hashed' || /[!?|]/.test(id)) {
+        // named ids of modules loaded with inline loaders or queries are not valid file names
+        suffix += '.' + (this._moduleIdsStrategy === 'hashed' ? id : PersistentCache.hash(id).substr(0, 8));
+      }
+    }
+    return trackedFile.path + suffix + '.wbp.js';
+  }
+
+  _assignModuleIds(modules, getId, setId, context) {
+    // ids are derived from module paths relative to the project, so unlike numeric ids they don't change when
+    // modules are added or removed, or when the compiler is re-created; modules are sorted so that collisions
+    // are always resolved the same way
+    var self = this;
+    var usedIds = {};
+    _.each(modules, m => {
+      var id = getId(m);
+      if (!_.isNil(id)) usedIds[id] = true;
+    });
+    var unassigned = _.sortBy(_.map(_.filter(modules, m => _.isNil(getId(m))), m => ({
+      module: m,
+      ident: WebpackPostprocessor._getModuleIdent(m, context)
+    })), 'ident');
+    _.each(unassigned, entry => {
+      var id = entry.ident;
+      if (self._moduleIdsStrategy === 'hashed') {
+        var hash = PersistentCache.hash(entry.ident);
+        var length = 8;
+        while (usedIds[hash.substr(0, length)] && length < hash.length) length++;
+        id = hash.substr(0, length);
+      }
+      else if (usedIds[id]) {
+        // same resource built with different loaders, for example by rules matching different issuers
+        id = entry.ident + '|' + PersistentCache.hash(entry.module.identifier()).substr(0, 8);
+      }
+      usedIds[id] = true;
+      setId(entry.module, id);
+    });
   }
 
-  static _wrapSourceFile(id, content, useStrict) {
-    return 'window.__moduleBundler.cache[' + JSON.stringify(id) + '] = [function(__webpack_require__, module, exports, __webpack_exports__) {'
+  static _getModuleIdent(m, context) {
+    var ident = m.libIdent && m.libIdent({context: context});
+    if (ident) return ident;
+    var identifier = m.identifier();
+    return identifier.split(context).join('.');
+  }
+
+  static _wrapSourceFile(id, content, useStrict, registry) {
+    return registry + '.cache[' + JSON.stringify(id) + '] = [function(__webpack_require__, module, exports, __webpack_exports__, __webpack_module__) {'
       + (useStrict ? '"use strict";' : '')
-      + content + '\n}, window.__moduleBundler.deps];';
+      + content + '\n}, ' + registry + '.deps];';
   }
 
-  static _getLoaderContent() {
+  static _getLoaderContent(registry, isNodeTarget, isHot, loaderFiles, isEntryGroup) {
     // webpack prelude, taken from browserify,
     // modified to include webpack specific module.id, module.loaded (and module.i, module.l and module.e for Webpack 2),
-    // __webpack_require__.e (require.ensure),
+    // __webpack_require__.e (require.ensure and import(), loads async chunk modules that are not loaded yet),
+    // __webpack_require__.oe (require.ensure has no error callback, so chunk loading errors are thrown as uncaught errors),
     // __webpack_require__.m,
     // __webpack_require__.c,
-    // __webpack_require__.p,
+    // __webpack_require__.p (files emitted by loaders and asset modules are served from the assets directory),
+    // __webpack_require__.a, __webpack_require__.v (async modules and WebAssembly for Webpack 5),
     // __webpack_require__.i,
     // __webpack_require__.d,
     // __webpack_require__.n,
     // __webpack_require__.o,
     // __webpack_require__.t,
-    // (see webpack/lib/MainTemplate.js)
-    var prelude = '(function e(t,n,r){function s(o,u){if(!n[o]){if(!t[o]){var a=typeof require=="function"&&require;if(!u&&a)return a(o,!0);if(i)return i(o,!0);var tfp=window.__moduleBundler.testFilePathById[o];if(tfp){throw new Error("Test file "+tfp+" is being imported from other test files.\\nThis may cause tests in the file to be executed more than once (when the test file runs and every time it gets imported).\\nIf the test file contains some test helper code, try refactoring the reused code into a file of its own and use it by importing the new helper file where required.")}var f=new Error("Cannot find module \'"+o+"\'"+(window.__moduleBundler.depPaths?" (" + window.__moduleBundler.depPaths[o]+")":""));throw f.code="MODULE_NOT_FOUND",f}var exp={};var mid=o;try{mid=o.toString();}catch(emid){}var l=n[o]={exports:exp,e:exp,id:mid,i:mid,loaded:false,l:false};var rq=function(e){var n=t[o][1][e];return s(n?n:e)};rq.e=function(a1,a2){if(a2){a2.call(null,rq);}else{return Promise.resolve();}};rq.m=tm;rq.c=n;rq.p="";rq.i=function(value){return value;};rq.d=function(exports,name,getter){Object.defineProperty(exports,name,{configurable:false,enumerable:true,get:getter});};rq.o=function(object,property){return Object.prototype.hasOwnProperty.call(object,property);};rq.t=function(value,mode){if(mode&1)value =rq(value);if(mode&8)return value;if((mode&4)&&typeof value==="object"&&value&&value.__esModule)return value;var ns = Object.create(null);rq.r(ns);Object.defineProperty(ns,"default",{enumerable:true,value:value});if(mode&2&&typeof value!="string")for(var key in value)rq.d(ns,key,function(key){return value[key];}.bind(null, key));return ns;};rq.r=function(exports){Object.defineProperty(exports,\'__esModule\',{value:true});};rq.n=function(module){var getter=module&&module.__esModule ? function getDefault(){return module["default"];} : function getModuleExports(){return module;};rq.d(getter,"a",getter);return getter;};t[o][0].call(exp,rq,l,exp,exp,e,t,n,r);l.exports=l.e=((exp===l.e)?l.exports:l.e);l.l=true;if(Object.getOwnPropertyDescriptor(l, "loaded").writable){l.loaded=true}}return n[o].exports}var tm={};for(var pr in t){if(t.hasOwnProperty(pr)){tm[pr]=(function(orf){return function(md,mde,wrq){return orf.call(this,wrq,md,mde);}})(t[pr][0]);}}var i=typeof require=="function"&&require;for(var o=0;o<r.length;o++)s(r[o]);return s})';
-    return 'window.__moduleBundler = {};'
-      + 'window.__moduleBundler.cache = {};'
-      + 'window.__moduleBundler.moduleCache = {};'
-      + 'window.__moduleBundler.require = function (m) {'
-      + prelude
-      + '(window.__moduleBundler.cache, window.__moduleBundler.moduleCache, [m]);'
+    // __webpack_require__.r,
+    // __webpack_require__.g, __webpack_require__.hmd, __webpack_require__.nmd (and object form of __webpack_require__.d for Webpack 5)
+    // (see webpack/lib/MainTemplate.js and webpack/lib/RuntimeGlobals.js),
+    // to track module importers, to throw compilation errors of failed modules,
+    // and to return mocked modules of the passed (or global) mock scope
+    var prelude = '(function e(t,n,r,sc){function s(o,u){var ms=sc||__moduleBundler.globalScope;var mk=ms&&ms.get(o);if(mk)return mk.exports;if(!n[o]){var me=__moduleBundler.errors&&__moduleBundler.errors[o];if(me){var ce=new Error(me);ce.code="MODULE_BUILD_FAILED";throw ce}if(!t[o]&&__moduleBundler.load)__moduleBundler.load(o);if(!t[o]){var a=typeof require=="function"&&require;if(!u&&a)return a(o,!0);if(i)return i(o,!0);var tfp=__moduleBundler.testFilePathById[o];if(tfp){throw new Error("Test file "+tfp+" is being imported from other test files.\\nThis may cause tests in the file to be executed more than once (when the test file runs and every time it gets imported).\\nIf the test file contains some test helper code, try refactoring the reused code into a file of its own and use it by importing the new helper file where required.")}var f=new Error("Cannot find module \'"+o+"\'"+(__moduleBundler.depPaths?" (" + __moduleBundler.depPaths[o]+")":""));throw f.code="MODULE_NOT_FOUND",f}var exp={};var mid=o;try{mid=o.toString();}catch(emid){}var l=n[o]={exports:exp,e:exp,id:mid,i:mid,loaded:false,l:false};var rq=function(e){var n=t[o][1][e];var d=n?n:e;(__moduleBundler.importers[d]||(__moduleBundler.importers[d]={}))[o]=true;return s(d)};rq.e=function(a1,a2){var lc=__moduleBundler.loadChunk(a1);if(a2){if(lc){lc.then(function(){a2.call(null,rq);},rq.oe);}else{a2.call(null,rq);}return;}return lc||Promise.resolve();};rq.oe=function(le){setTimeout(function(){throw le;});};Object.defineProperty(rq,"m",{enumerable:true,get:gtm});rq.c=n;rq.p=__moduleBundler.publicPath||"";rq.a=__moduleBundler.asyncModule;rq.v=__moduleBundler.instantiateWasm;rq.i=function(value){return value;};rq.d=function(exports,name,getter){if(typeof name==="object"){for(var key in name){if(rq.o(name,key)&&!rq.o(exports,key)){Object.defineProperty(exports,key,{enumerable:true,get:name[key]});}}return;}Object.defineProperty(exports,name,{configurable:false,enumerable:true,get:getter});};rq.o=function(object,property){return Object.prototype.hasOwnProperty.call(object,property);};rq.t=function(value,mode){if(mode&1)value =rq(value);if(mode&8)return value;if((mode&4)&&typeof value==="object"&&value&&value.__esModule)return value;var ns = Object.create(null);rq.r(ns);Object.defineProperty(ns,"default",{enumerable:true,value:value});if(mode&2&&typeof value!="string")for(var key in value)rq.d(ns,key,function(key){return value[key];}.bind(null, key));return ns;};rq.r=function(exports){Object.defineProperty(exports,\'__esModule\',{value:true});};rq.g=typeof globalThis==="object"?globalThis:(typeof window==="object"?window:global);rq.hmd=function(module){module=Object.create(module);if(!module.children)module.children=[];Object.defineProperty(module,"exports",{enumerable:true,set:function(){throw new Error("ES Modules may not assign module.exports or exports.*, Use ESM export syntax, instead: "+module.id);}});return module;};rq.nmd=function(module){module.paths=[];if(!module.children)module.children=[];return module;};rq.n=function(module){var getter=module&&module.__esModule ? function getDefault(){return module["default"];} : function getModuleExports(){return module;};rq.d(getter,"a",getter);return getter;};t[o][0].call(exp,rq,l,exp,exp,l);l.exports=l.e=((exp===l.e)?l.exports:l.e);l.l=true;if(Object.getOwnPropertyDescriptor(l, "loaded").writable){l.loaded=true}}return n[o].exports}var tm;var gtm=function(){if(!tm){tm={};for(var pr in t){if(t.hasOwnProperty(pr)){tm[pr]=(function(orf){return function(md,mde,wrq){return orf.call(this,wrq,md,mde);}})(t[pr][0]);}}}return tm;};var i=typeof require=="function"&&require;for(var o=0;o<r.length;o++)s(r[o]);return s})';
+    return '(function (__moduleBundler) {'
+      + (isHot
+        ? ('__moduleBundler.cache = __moduleBundler.cache || {};'
+        + '__moduleBundler.moduleCache = __moduleBundler.moduleCache || {};'
+        + '__moduleBundler.importers = __moduleBundler.importers || {};'
+        + WebpackPostprocessor._getHotUpdateLoader())
+        : ('__moduleBundler.cache = {};'
+        + '__moduleBundler.moduleCache = {};'
+        + '__moduleBundler.importers = {};'))
+      + 'var loadModules = ' + prelude + ';'
+      + WebpackPostprocessor._getAsyncModuleLoader()
+      + WebpackPostprocessor._getModuleMocksLoader()
+      + '__moduleBundler.require = function (m) {'
+      + 'if (__moduleBundler.applyHotUpdate) __moduleBundler.applyHotUpdate([]);'
+      + 'loadModules(__moduleBundler.cache, __moduleBundler.moduleCache, [m]);'
+      + '};'
+      + '__moduleBundler.loadChunk = function (chunkId) {'
+      + 'var ids = (__moduleBundler.chunks && __moduleBundler.chunks[chunkId]) || [], loading = [];'
+      + 'for (var i = 0; i < ids.length; i++) { if (!__moduleBundler.cache[ids[i]]) loading.push(__moduleBundler.loadModule(ids[i])); }'
+      + 'return loading.length ? Promise.all(loading) : undefined;'
       + '};'
-      + 'window.__moduleBundler.loadTests = function () { window.wallaby._startWhenReceiverIsReady(function() {'
-      + prelude
-      // passing accumulated files and entry points (webpack-ed tests for the current sandbox)
-      + '(window.__moduleBundler.cache, window.__moduleBundler.moduleCache, (function(){ var testIds = []; for(var i = 0, len = wallaby.loadedTests.length; i < len; i++) { var test = wallaby.loadedTests[i]; if (test.substr(-7) === ".wbp.js") testIds.push(wallaby.baseDir + test.substr(0, test.length - 7)); } return testIds; })());'
-      + '});};'
+      + (isNodeTarget
+        ? WebpackPostprocessor._getNodeTestLoader(isHot, loaderFiles)
+        : WebpackPostprocessor._getBrowserTestLoader(isEntryGroup, loaderFiles))
+      // in hot mode, the registry (with executed modules) is kept when the loader is reloaded
+      + '})(' + registry + ' = ' + (isHot ? (registry + ' || {}') : '{}') + ');';
+  }
+
+  static _getHotUpdateLoader() {
+    // executed modules are kept between test runs, only changed modules and modules importing them are re-executed,
+    // test modules are always re-executed
+    return '__moduleBundler.applyHotUpdate = function (testIds) {'
+      + 'var update = __moduleBundler.hotUpdate || {}, appliedAt = __moduleBundler.hotUpdateAppliedAt, id;'
+      + 'var moduleCache = __moduleBundler.moduleCache, importers = __moduleBundler.importers, invalid = [], visited = {};'
+      + 'if (appliedAt === undefined || appliedAt < update.resetAt) {'
+      + 'for (id in moduleCache) { if (moduleCache.hasOwnProperty(id)) invalid.push(id); }'
+      + '} else if (appliedAt < update.updatedAt) {'
+      + 'for (id in update.changedAt) { if (update.changedAt.hasOwnProperty(id) && update.changedAt[id] > appliedAt) invalid.push(id); }'
+      + '}'
+      + '__moduleBundler.hotUpdateAppliedAt = update.updatedAt;'
+      // in node, changed module files need to be required again
+      + 'if (__moduleBundler.load) { for (var i = 0; i < invalid.length; i++) delete __moduleBundler.cache[invalid[i]]; }'
+      + 'invalid = invalid.concat(testIds);'
+      + 'while (invalid.length) {'
+      + 'id = invalid.pop(); if (visited[id]) continue; visited[id] = true;'
+      + 'delete moduleCache[id];'
+      + 'var moduleImporters = importers[id]; delete importers[id];'
+      + 'for (var importer in moduleImporters) { if (moduleImporters.hasOwnProperty(importer)) invalid.push(importer); }'
+      + '}'
+      + '};';
+  }
+
+  static _getAsyncModuleLoader() {
+    // same as webpack 5 async module runtime (webpack/lib/runtime/AsyncModuleRuntimeModule.js) and async WebAssembly
+    // loading runtime, WebAssembly files are loaded from the assets directory
+    return 'var webpackQueues = typeof Symbol === "function" ? Symbol("webpack queues") : "__webpack_queues__";'
+      + 'var webpackExports = typeof Symbol === "function" ? Symbol("webpack exports") : "__webpack_exports__";'
+      + 'var webpackError = typeof Symbol === "function" ? Symbol("webpack error") : "__webpack_error__";'
+      + 'var resolveQueue = function (queue) {'
+      + 'if (queue && queue.d < 1) { queue.d = 1; queue.forEach(function (fn) { fn.r--; }); queue.forEach(function (fn) { fn.r-- ? fn.r++ : fn(); }); }'
+      + '};'
+      + 'var wrapDeps = function (deps) { return deps.map(function (dep) {'
+      + 'if (dep !== null && typeof dep === "object") {'
+      + 'if (dep[webpackQueues]) return dep;'
+      + 'if (dep.then) {'
+      + 'var queue = []; queue.d = 0;'
+      + 'dep.then(function (r) { obj[webpackExports] = r; resolveQueue(queue); }, function (e) { obj[webpackError] = e; resolveQueue(queue); });'
+      + 'var obj = {}; obj[webpackQueues] = function (fn) { fn(queue); };'
+      + 'return obj;'
+      + '}'
+      + '}'
+      + 'var ret = {}; ret[webpackQueues] = function () {}; ret[webpackExports] = dep;'
+      + 'return ret;'
+      + '}); };'
+      + '__moduleBundler.asyncModule = function (module, body, hasAwait) {'
+      + 'var queue; if (hasAwait) (queue = []).d = -1;'
+      + 'var depQueues = new Set(), exports = module.exports, currentDeps, outerResolve, reject;'
+      + 'var promise = new Promise(function (resolve, rej) { reject = rej; outerResolve = resolve; });'
+      + 'promise[webpackExports] = exports;'
+      + 'promise[webpackQueues] = function (fn) { if (queue) fn(queue); depQueues.forEach(fn); promise["catch"](function () {}); };'
+      + 'module.exports = promise;'
+      + 'body(function (deps) {'
+      + 'currentDeps = wrapDeps(deps);'
+      + 'var fn;'
+      + 'var getResult = function () { return currentDeps.map(function (d) { if (d[webpackError]) throw d[webpackError]; return d[webpackExports]; }); };'
+      + 'var depsPromise = new Promise(function (resolve) {'
+      + 'fn = function () { resolve(getResult); }; fn.r = 0;'
+      + 'var fnQueue = function (q) { if (q !== queue && !depQueues.has(q)) { depQueues.add(q); if (q && !q.d) { fn.r++; q.push(fn); } } };'
+      + 'currentDeps.forEach(function (dep) { dep[webpackQueues](fnQueue); });'
+      + '});'
+      + 'return fn.r ? depsPromise : getResult();'
+      + '}, function (err) { if (err) reject(promise[webpackError] = err); else outerResolve(exports); resolveQueue(queue); });'
+      + 'if (queue && queue.d < 0) queue.d = 0;'
+      + '};'
+      + '__moduleBundler.instantiateWasm = function (exports, wasmModuleId, wasmModuleHash, importsObj) {'
+      + 'return __moduleBundler.loadAsset(wasmModuleHash + ".module.wasm")'
+      + '.then(function (bytes) { return WebAssembly.instantiate(bytes, importsObj); })'
+      + '.then(function (res) { return Object.assign(exports, res.instance.exports); });'
+      + '};';
+  }
+
+  static _getStyleInjection(moduleId, css) {
+    // a style element per module, replaced when the module is executed again
+    return 'if (typeof document === "object" && document.head) {'
+      + 'var previousStyle = document.querySelector && document.querySelector(\'style[data-wallaby-webpack-module="\' + ' + JSON.stringify(String(moduleId)) + ' + \'"]\');'
+      + 'if (previousStyle) previousStyle.parentNode.removeChild(previousStyle);'
+      + 'var style = document.createElement("style");'
+      + 'style.setAttribute("data-wallaby-webpack-module", ' + JSON.stringify(String(moduleId)) + ');'
+      + 'style.textContent = ' + JSON.stringify(css) + ';'
+      + 'document.head.appendChild(style);'
+      + '}';
+  }
+
+  static _getModuleMocksLoader() {
+    // each test file is loaded with its own module registry (falling back to the shared one),
+    // mocks registered while a test file is loaded only apply to the test file: modules importing the mocked ones
+    // are re-executed in the test file registry, and the registry is not shared with other test files;
+    // mocks registered outside of test files (for example in wallaby setup) apply to all test files, the ones registered
+    // after the tests are loaded (in hooks, tests or async callbacks) only until the tests are loaded again;
+    // in isolation mode, only whitelisted modules executed by test files are shared
+    return '__moduleBundler.mocks = __moduleBundler.mocks || {};'
+      // global mocks (or their absence) before they were changed after loading the tests
+      + '__moduleBundler.testMocks = __moduleBundler.testMocks || {};'
+      + 'var testModulesLoaded = false;'
+      + 'var createScope = function (moduleCache) {'
+      + 'var scope = {moduleCache: moduleCache, mocks: {}, instances: {}, mocked: false};'
+      + 'scope.get = function (id) {'
+      + 'var globalScope = __moduleBundler.globalScope;'
+      + 'var owner = scope.mocks.hasOwnProperty(id) ? scope : (globalScope.mocks.hasOwnProperty(id) ? globalScope : null);'
+      // null is set by unmock in a test file, to use the real module even if it's mocked globally
+      + 'if (!owner || owner.mocks[id] === null) return;'
+      + 'if (!owner.instances.hasOwnProperty(id)) { var factory = owner.mocks[id]; owner.instances[id] = {exports: typeof factory === "function" ? factory() : factory}; }'
+      + 'return owner.instances[id];'
+      + '};'
+      + 'return scope;'
+      + '};'
+      + '__moduleBundler.globalScope = createScope(__moduleBundler.moduleCache);'
+      + '__moduleBundler.globalScope.mocks = __moduleBundler.mocks;'
+      + 'var shareModules = function (scope) {'
+      + 'for (var id in scope.moduleCache) { if (scope.moduleCache.hasOwnProperty(id) && scope.moduleCache[id] && (!__moduleBundler.sharedIds || __moduleBundler.sharedIds[id])) __moduleBundler.moduleCache[id] = scope.moduleCache[id]; }'
+      + '};'
+      + 'var invalidateImporters = function (id, scope) {'
+      + 'var ids = [id], visited = {};'
+      + 'while (ids.length) {'
+      + 'var current = ids.pop(); if (visited[current]) continue; visited[current] = true;'
+      // shared modules are hidden from the test file registry, rather than deleted
+      + 'if (current !== id) { if (scope === __moduleBundler.globalScope) delete scope.moduleCache[current]; else scope.moduleCache[current] = undefined; }'
+      + 'var moduleImporters = __moduleBundler.importers[current];'
+      + 'for (var importer in moduleImporters) { if (moduleImporters.hasOwnProperty(importer)) ids.push(importer); }'
+      + '}'
+      + '};'
+      + 'var getMockScope = function () {'
+      + 'var scope = __moduleBundler.currentScope || __moduleBundler.globalScope;'
+      // modules executed by the test file before the first mock don't depend on it, so they still can be shared
+      + 'if (scope !== __moduleBundler.globalScope && !scope.mocked) { shareModules(scope); scope.mocked = true; }'
+      + 'return scope;'
+      + '};'
+      + 'var recordTestMock = function (id, scope) {'
+      + 'if (scope !== __moduleBundler.globalScope || !testModulesLoaded || __moduleBundler.testMocks.hasOwnProperty(id)) return;'
+      + '__moduleBundler.testMocks[id] = scope.mocks.hasOwnProperty(id) ? {factory: scope.mocks[id]} : null;'
+      + '};'
+      + 'var restoreTestMocks = function () {'
+      + 'var testMocks = __moduleBundler.testMocks, scope = __moduleBundler.globalScope;'
+      + '__moduleBundler.testMocks = {};'
+      + 'for (var id in testMocks) { if (testMocks.hasOwnProperty(id)) {'
+      + 'if (testMocks[id]) scope.mocks[id] = testMocks[id].factory; else delete scope.mocks[id];'
+      + 'delete scope.instances[id]; invalidateImporters(id, scope);'
+      + '} }'
+      + '};'
+      // paths that are not absolute are relative to the project directory
+      + 'var normalizePath = function (p) {'
+      + 'p = String(p).split("\\\\").join("/");'
+      + 'if (p.charAt(0) !== "/" && !/^[a-zA-Z]:\\//.test(p)) p = String(__moduleBundler.projectDir || "").split("\\\\").join("/") + "/" + p;'
+      + 'var parts = p.split("/"), result = [];'
+      + 'for (var i = 0; i < parts.length; i++) { if (parts[i] === "..") result.pop(); else if (parts[i] !== "." && (parts[i] !== "" || !i)) result.push(parts[i]); }'
+      + 'return result.join("/");'
+      + '};'
+      + '__moduleBundler.resolveId = function (pathOrId) {'
+      + 'if (__moduleBundler.deps.hasOwnProperty(pathOrId) || __moduleBundler.cache.hasOwnProperty(pathOrId)) return pathOrId;'
+      + 'var request = normalizePath(pathOrId), candidates = [], p;'
+      + 'for (p in __moduleBundler.idByPath) { if (__moduleBundler.idByPath.hasOwnProperty(p)) candidates.push([p, __moduleBundler.idByPath[p]]); }'
+      + 'for (p in __moduleBundler.depPaths) { if (__moduleBundler.depPaths.hasOwnProperty(p) && __moduleBundler.depPaths[p]) candidates.push([__moduleBundler.depPaths[p], p]); }'
+      + 'for (var i = 0; i < candidates.length; i++) {'
+      + 'var candidate = normalizePath(candidates[i][0]);'
+      + 'if (candidate === request || candidate.replace(/\\.[^./]+$/, "") === request || candidate.replace(/\\/index\\.[^./]+$/, "") === request) return candidates[i][1];'
+      + '}'
+      + 'throw new Error("Cannot find module \'" + pathOrId + "\' to mock");'
+      + '};'
+      + '__moduleBundler.mock = function (pathOrId, factory) {'
+      + 'var id = __moduleBundler.resolveId(pathOrId), scope = getMockScope();'
+      + 'recordTestMock(id, scope);'
+      + 'scope.mocks[id] = factory; delete scope.instances[id];'
+      + 'invalidateImporters(id, scope);'
+      + '};'
+      + '__moduleBundler.unmock = function (pathOrId) {'
+      + 'var id = __moduleBundler.resolveId(pathOrId), scope = getMockScope();'
+      + 'recordTestMock(id, scope);'
+      + 'if (scope === __moduleBundler.globalScope) delete scope.mocks[id]; else scope.mocks[id] = null;'
+      + 'delete scope.instances[id];'
+      + 'invalidateImporters(id, scope);'
+      + '};'
+      // mocks of the previous test run are restored when the loader is loaded for the next one (before wallaby setup)
+      + 'restoreTestMocks();'
+      + '__moduleBundler.loadTestModules = function (testIds) {'
+      + 'restoreTestMocks(); testModulesLoaded = true;'
+      + 'var loading = [];'
+      + 'for (var i = 0; i < testIds.length; i++) {'
+      + 'var scope = __moduleBundler.currentScope = createScope(Object.create(__moduleBundler.moduleCache));'
+      + 'try { loadModules(__moduleBundler.cache, scope.moduleCache, [testIds[i]], scope); }'
+      + 'finally { __moduleBundler.currentScope = null; if (!scope.mocked) shareModules(scope); }'
+      // exports of async test modules (importing WebAssembly or using top-level await) are promises
+      + 'var loaded = scope.moduleCache[testIds[i]];'
+      + 'if (loaded && loaded.exports && typeof loaded.exports.then === "function") loading.push(loaded.exports);'
+      + '}'
+      + 'return loading.length ? Promise.all(loading) : undefined;'
+      + '};';
+  }
+
+  static _getBrowserTestLoader(isEntryGroup, loaderFiles) {
+    // async chunk module files and assets are served by wallaby from the same location as the loader script
+    return 'var loaderScript = typeof document === "object" && document.currentScript;'
+      + '__moduleBundler.baseUrl = loaderScript ? loaderScript.src.replace(/[^\\/?#]+([?#].*)?$/, "") : "/";'
+      + '__moduleBundler.publicPath = __moduleBundler.baseUrl + ' + JSON.stringify(loaderFiles.assets) + ';'
+      + '__moduleBundler.loadAsset = function (name) {'
+      + 'return fetch(__moduleBundler.publicPath + name).then(function (response) {'
+      + 'if (response.ok === false) throw new Error("Loading asset " + name + " failed: " + response.status);'
+      + 'return response.arrayBuffer();'
+      + '});'
+      + '};'
+      + 'var loadedAt = new Date().getTime();'
+      + '__moduleBundler.loadModule = function (id) { return new Promise(function (resolve, reject) {'
+      + 'var file = __moduleBundler.files && __moduleBundler.files[id];'
+      + 'if (!file) { var e = new Error("Cannot find module \'" + id + "\'"); e.code = "MODULE_NOT_FOUND"; return reject(e); }'
+      + 'var script = document.createElement("script");'
+      + 'script.src = __moduleBundler.baseUrl + file.split("\\\\").join("/") + "?" + loadedAt;'
+      + 'script.onload = function () { resolve(); };'
+      + 'script.onerror = function () { reject(new Error("Loading module file " + file + " failed")); };'
+      + 'document.head.appendChild(script);'
+      + '}); };'
+      + '__moduleBundler.loadLoadedTests = function () {'
+      + 'var testIds = []; for(var i = 0, len = wallaby.loadedTests.length; i < len; i++) { var test = wallaby.loadedTests[i]; if (test.substr(-7) === ".wbp.js") testIds.push(wallaby.baseDir + test.substr(0, test.length - 7)); }'
+      // tests of other entry groups are loaded by their loaders
+      + (isEntryGroup ? 'testIds = testIds.filter(function (id) { return __moduleBundler.cache.hasOwnProperty(id); });' : '')
+      + 'if (__moduleBundler.applyHotUpdate) __moduleBundler.applyHotUpdate(testIds);'
+      // loading webpack-ed tests for the current sandbox
+      + 'return __moduleBundler.loadTestModules(testIds);'
+      + '};'
+      + '__moduleBundler.loadTests = function () {'
+      // tests of async test modules are defined after their async dependencies are loaded
+      + 'var delayStart = __moduleBundler.hasAsyncModules && typeof window.wallaby.delayStart === "function";'
+      + 'if (delayStart) window.wallaby.delayStart();'
+      + 'window.wallaby._startWhenReceiverIsReady(function () {'
+      + 'var loading = __moduleBundler.loadLoadedTests();'
+      // tests that failed to load are reported as missing, the error is logged rather than left unhandled
+      + 'if (delayStart) Promise.resolve(loading).then(function () { window.wallaby.start(); }, function (e) { if (typeof console === "object") console.error(e); window.wallaby.start(); });'
+      + '});'
+      + '};';
+  }
+
+  static _getNodeTestLoader(isHot, loaderFiles) {
+    // in node, module files are not loaded up front, but required from the loader directory when first requested
+    return 'var path = require("path");'
+      + 'var testsLoaded = false;'
+      + 'var requireFresh = function (file) { var filePath = path.join(__dirname, file); delete require.cache[filePath]; return require(filePath); };'
+      + '__moduleBundler.load = function (id) { var file = __moduleBundler.files && __moduleBundler.files[id]; if (file) requireFresh(file); };'
+      + '__moduleBundler.loadModule = function (id) { try { __moduleBundler.load(id); return Promise.resolve(); } catch (e) { return Promise.reject(e); } };'
+      + '__moduleBundler.publicPath = path.join(__dirname, ' + JSON.stringify(loaderFiles.assets) + ');'
+      + '__moduleBundler.loadAsset = function (name) { return new Promise(function (resolve, reject) {'
+      + 'require("fs").readFile(__moduleBundler.publicPath + name, function (err, content) { if (err) reject(err); else resolve(content); });'
+      + '}); };'
+      // loader data and module lookup map shards are emitted as separate files
+      + 'requireFresh(' + JSON.stringify(loaderFiles.data + '.js') + ');'
+      + 'for (var shard = 0; shard < __moduleBundler.shardCount; shard++) requireFresh(' + JSON.stringify(loaderFiles.data + '.') + ' + shard + ".js");'
+      + '__moduleBundler.loadTests = function (tests) {'
+      // a worker process may be reused for the next test run, with the loader module still cached from the previous run
+      + 'if (testsLoaded) { delete require.cache[__filename]; return require(__filename).loadTests(tests); }'
+      + 'testsLoaded = true;'
+      // so that the loader required in wallaby setup of the next test run is loaded again
+      + 'delete require.cache[__filename];'
+      + 'tests = tests || (typeof wallaby === "object" && (wallaby.loadedTests || wallaby.tests)) || [];'
+      + 'var idByFile = {}; for (var id in __moduleBundler.files) { if (__moduleBundler.files.hasOwnProperty(id)) idByFile[path.normalize(__moduleBundler.files[id])] = id; }'
+      + 'var testIds = []; for (var i = 0; i < tests.length; i++) { var testId = idByFile[path.relative(__dirname, path.resolve(__dirname, tests[i]))]; if (testId !== undefined) testIds.push(testId); }'
+      + (isHot ? ('requireFresh(' + JSON.stringify(loaderFiles.hot) + '); __moduleBundler.applyHotUpdate(testIds);') : '')
+      + 'if (__moduleBundler.hasEntryFile) requireFresh(' + JSON.stringify(loaderFiles.entry) + ');'
+      // a promise when some test modules are async
+      + 'return __moduleBundler.loadTestModules(testIds);'
+      + '};'
+      + 'module.exports = __moduleBundler;';
   }
 }
 
 module.exports = function (opts) {
+  if (opts && opts.entryGroups) {
+    return new EntryGroups(opts, groupOpts => new WebpackPostprocessor(groupOpts)).createPostprocessor();
+  }
   return new WebpackPostprocessor(opts).createPostprocessor();
 };
@@ -0,0 +1,217 @@
+'use strict';
+
+var path = require('path');
+var fs = require('graceful-fs');
+var _ = require('lodash');
+var mkdirp = require('./mkdirp');
+
+var TIMING_LOADER = require.resolve('./loaders/timing-loader');
+var TIMING_RAW_LOADER = require.resolve('./loaders/timing-raw-loader');
+var PARALLEL_LOADER = require.resolve('./loaders/parallel-loader');
+
+// runs rebuilding at least this share of all modules are reported as full rebuilds
+var FULL_REBUILD_RATIO = 0.5;
+var MAX_REPORTED_REBUILDS = 20;
+
+var instances = {};
+var nextId = 0;
+
+/*
+ Opt-in report of the test build in webpack stats JSON format (`modules`, `errors`, `warnings`), extended with
+ build time of each module and of each of its loaders, test files with the most (transitive) dependencies, and the latest
+ runs that rebuilt most of the modules, along with the files that changed before them. The report is written to a
+ file after every run, so that it's possible to find out what makes the test build slow.
+ Loaders are timed by timing loaders inserted before, between and after them: each timing loader marks when the
+ loader chain passes it while pitching and while running loaders.
+ */
+
+class BuildStats {
+  constructor(filePath) {
+    this._filePath = filePath;
+    this._timings = {};
+    this._builds = {};
+    this._builtModules = {};
+    this._changedFiles = {};
+    this._rebuilds = [];
+    this._startedAt = 0;
+    this._id = nextId++;
+    instances[this._id] = this;
+  }
+
+  static get(id) {
+    return instances[id];
+  }
+
+  getId() {
+    return this._id;
+  }
+
+  runStarted() {
+    this._startedAt = +new Date();
+    this._builtModules = {};
+    this._changedFiles = {};
+  }
+
+  fileChanged(filePath) {
+    this._changedFiles[filePath] = true;
+  }
+
+  moduleBuildStarted(m) {
+    var identifier = m.identifier();
+    this._builtModules[identifier] = true;
+    var loaders = this._insertTimingLoaders(m);
+    this._builds[identifier] = {startedAt: +new Date(), loadersStartedAt: 0, loadersFinishedAt: 0, loaders: loaders, marks: []};
+  }
+
+  loadersStarted(m) {
+    var build = this._builds[m.identifier()];
+    if (build) build.loadersStartedAt = +new Date();
+  }
+
+  loaderPitched(m, index) {
+    var build = this._builds[m.identifier()];
+    if (build) (build.marks[index] || (build.marks[index] = {})).pitchedAt = +new Date();
+  }
+
+  loaderFinished(m, index) {
+    var build = this._builds[m.identifier()];
+    if (!build) return;
+    var now = +new Date();
+    (build.marks[index] || (build.marks[index] = {})).finishedAt = now;
+    // the first timing loader is the last one to run
+    if (index === 0) build.loadersFinishedAt = now;
+  }
+
+  moduleBuildFinished(m, failed) {
+    var identifier = m.identifier();
+    var build = this._builds[identifier];
+    if (!build) return;
+    delete this._builds[identifier];
+    var now = +new Date();
+    // loaders of failed builds are timed until the failure
+    var loadersTime = build.loadersStartedAt ? (build.loadersFinishedAt || now) - build.loadersStartedAt : null;
+    this._timings[identifier] = {
+      building: now - build.startedAt,
+      loaders: loadersTime,
+      loaderTimes: _.map(build.loaders, (loader, index) => ({loader: loader, time: BuildStats._getLoaderTime(build.marks, index)})),
+      failed: !!failed
+    };
+  }
+
+  write(data, logger) {
+    // data: webpack `version`, compilation `modules` (`id`, `identifier`, `name`, `size`), `tests` (test file paths
+    // with their number of transitive dependencies), `errors` and `warnings` messages, and whether it's a `fullRun`
+    var self = this;
+    var builtCount = _.size(self._builtModules);
+    if (data.fullRun || (data.modules.length && builtCount >= data.modules.length * FULL_REBUILD_RATIO)) {
+      self._rebuilds.unshift({
+        builtAt: self._startedAt,
+        reason: data.fullRun ? 'compiler created' : 'files changed',
+        // all files are new to a created compiler
+        files: data.fullRun ? [] : _.map(_.keys(self._changedFiles), f => path.relative(process.cwd(), f)),
+        modules: builtCount,
+        totalModules: data.modules.length
+      });
+      self._rebuilds = self._rebuilds.slice(0, MAX_REPORTED_REBUILDS);
+    }
+
+    // timings of modules that are not a part of the compilation anymore are not needed
+    var identifiers = _.keyBy(_.map(data.modules, 'identifier'));
+    self._timings = _.pick(self._timings, _.keys(identifiers));
+
+    var loaders = {};
+    var modules = _.map(data.modules, m => {
+      var timing = self._timings[m.identifier] || {building: null, loaders: null, loaderTimes: [], failed: false};
+      _.each(timing.loaderTimes, loaderTime => {
+        if (loaderTime.time === null) return;
+        var stats = loaders[loaderTime.loader] || (loaders[loaderTime.loader] = {loader: loaderTime.loader, modules: 0, time: 0});
+        stats.modules++;
+        stats.time += loaderTime.time;
+      });
+      return _.assign({}, m, {
+        built: !!self._builtModules[m.identifier],
+        failed: timing.failed,
+        profile: {building: timing.building, loaders: timing.loaders},
+        loaders: timing.loaderTimes
+      });
+    });
+
+    var report = {
+      version: data.version,
+      builtAt: self._startedAt,
+      time: +new Date() - self._startedAt,
+      errors: data.errors,
+      warnings: data.warnings,
+      modules: _.orderBy(modules, m => m.profile.building || 0, 'desc'),
+      loaders: _.orderBy(_.values(loaders), 'time', 'desc'),
+      tests: _.orderBy(data.tests, 'dependencies', 'desc'),
+      rebuilds: self._rebuilds
+    };
+
+    var content = JSON.stringify(report, null, 2);
+    mkdirp(path.dirname(self._filePath), err => {
+      if (err) return logger.debug('Stats report directory can not be created: ' + err.message);
+      fs.writeFile(self._filePath, content, err => {
+        if (err) return logger.debug('Stats report can not be written: ' + err.message);
+        logger.debug('Stats report written to ' + self._filePath);
+      });
+    });
+  }
+
+  _insertTimingLoaders(m) {
+    // returns paths of the module loaders; timing loaders of previous builds of the module (or of the module request
+    // passed by a pitching loader) are replaced, loaders running in a worker process are not timed
+    var loaders = m.loaders;
+    if (!_.isArray(loaders)) return [];
+    _.remove(loaders, l => BuildStats._isTimingLoader(BuildStats._getLoaderPath(l)));
+    var paths = _.map(loaders, BuildStats._getLoaderPath);
+    if (!loaders.length) return paths;
+
+    var parallelIndex = _.indexOf(paths, PARALLEL_LOADER);
+    var timedCount = parallelIndex === -1 ? loaders.length : parallelIndex + 1;
+    // webpack 1 module loaders are requests, later versions have loader objects
+    var isRequest = _.isString(loaders[0]);
+    var timingLoader = (index, raw) => {
+      var loader = raw ? TIMING_RAW_LOADER : TIMING_LOADER;
+      var options = JSON.stringify({stats: this._id, index: index});
+      return isRequest ? loader + '?' + options : {loader: loader, options: options};
+    };
+    // a timing loader gets the content in the form its left neighbour needs it, so the content is not converted
+    // twice; the result of the chain is taken as is
+    for (var index = timedCount; index > 0; index--) {
+      if (index !== parallelIndex + 1) loaders.splice(index, 0, timingLoader(index, BuildStats._isRawLoader(paths[index - 1])));
+    }
+    loaders.unshift(timingLoader(0, true));
+    return paths;
+  }
+
+  static _getLoaderTime(marks, index) {
+    // a loader pitches after the timing loader on its left pitches and runs before it runs, then the timing loader on
+    // its right runs before it unless the loader returns from the pitch; null when the loader didn't run
+    var left = marks[index];
+    var right = marks[index + 1];
+    if (!left || left.finishedAt === undefined) return null;
+    if (!right || right.finishedAt === undefined) return left.finishedAt - left.pitchedAt;
+    return (right.pitchedAt - left.pitchedAt) + (left.finishedAt - right.finishedAt);
+  }
+
+  static _getLoaderPath(loader) {
+    return (_.isString(loader) ? loader : loader.loader).split('?')[0];
+  }
+
+  static _isTimingLoader(loaderPath) {
+    return loaderPath === TIMING_LOADER || loaderPath === TIMING_RAW_LOADER;
+  }
+
+  static _isRawLoader(loaderPath) {
+    // loaders that can't be loaded here (ES modules) get Buffers, the loader runner converts them for non-raw loaders
+    try {
+      return !!require(loaderPath).raw;
+    }
+    catch (e) {
+      return true;
+    }
+  }
+}
+
+module.exports = BuildStats;
@@ -0,0 +1,187 @@
+'use strict';
+
+var path = require('path');
+var _ = require('lodash');
+var mm = require('minimatch');
+
+/*
+ Independent entry groups of a project (for example apps of a monorepo with different webpack configs, aliases and
+ globals) tested in the same wallaby session. Each group is a postprocessor of its own, with the shared options and
+ the group overrides, and with its own compiler, test loader (`wallaby-webpack-<name>.js`) and module registry
+ (`__moduleBundler_<name>`). Test files are routed to the first group with matching `tests` patterns (or to the group
+ without `tests`), source files are visible to all groups. `wallaby-webpack.js` is emitted as `__moduleBundler`
+ that loads tests of all groups.
+ */
+
+class EntryGroups {
+  constructor(opts, createGroupPostprocessor) {
+    var sharedOpts = _.omit(opts, 'entryGroups');
+    var names = {};
+    this._groups = _.map(opts.entryGroups, group => {
+      if (!group || !_.isString(group.name) || !/^[\w$]+$/.test(group.name)) {
+        throw new Error('Entry group name must only contain letters, digits, `_` and `$`, got '
+          + JSON.stringify(group && group.name));
+      }
+      if (names[group.name]) {
+        throw new Error('Entry group ' + group.name + ' is defined more than once');
+      }
+      names[group.name] = true;
+
+      // plugin instances passed in `plugins` are shared by the group compilers, a function returning plugins
+      // is called for each group, so that plugins keeping compilation state have an instance per group
+      var groupSharedOpts = _.isFunction(sharedOpts.plugins)
+        ? _.assign({}, sharedOpts, {plugins: sharedOpts.plugins(group.name)})
+        : sharedOpts;
+      var groupOpts = _.mergeWith({}, groupSharedOpts, _.omit(group, ['name', 'tests']), (objValue, srcValue, key) => {
+        // group plugins are added to the shared ones, other arrays (entry patterns, etc.) are replaced
+        if (_.isArray(objValue) && key === 'plugins') return objValue.concat(srcValue);
+        if (_.isArray(srcValue)) return srcValue.slice();
+      });
+      groupOpts.entryGroup = group.name;
+
+      return {
+        name: group.name,
+        testPatterns: group.tests
+          ? _.map(_.isString(group.tests) ? [group.tests] : group.tests, p => path.resolve(process.cwd(), p))
+          : null,
+        postprocessor: createGroupPostprocessor(groupOpts)
+      };
+    });
+    this._loaderContent = null;
+  }
+
+  createPostprocessor() {
+    var self = this;
+    var runs = _.map(self._groups, group => group.postprocessor.createPostprocessor());
+    // webpack is not found
+    if (!_.every(runs)) return;
+
+    return wallaby => {
+      var logger = wallaby.logger;
+      var testGroups = {};
+      _.each(wallaby.allTestFiles, file => {
+        var group = self._getTestFileGroup(file);
+        if (group) {
+          testGroups[file.fullPath] = group.name;
+        }
+      });
+      _.each(wallaby.affectedFiles, file => {
+        if (file.test && !testGroups[file.fullPath]) {
+          logger.error('Test file ' + file.path + ' does not match tests of any entry group');
+        }
+      });
+
+      var results = [];
+      // groups share wallaby file system and logger, so they are built one after another
+      return _.reduce(self._groups, (promise, group, index) => promise.then(() => {
+        var inGroup = file => !file.test || testGroups[file.fullPath] === group.name;
+        var groupWallaby = Object.create(wallaby);
+        groupWallaby.allFiles = _.filter(wallaby.allFiles, inGroup);
+        groupWallaby.allTestFiles = _.filter(wallaby.allTestFiles, inGroup);
+        groupWallaby.affectedFiles = _.filter(wallaby.affectedFiles, inGroup);
+        logger.debug('Building entry group ' + group.name);
+        return runs[index](groupWallaby).then(result => results.push(result));
+      }), Promise.resolve())
+        .then(() => {
+          var isNodeTarget = self._groups[0].postprocessor.isNodeTarget();
+          if (_.some(self._groups, group => group.postprocessor.isNodeTarget() !== isNodeTarget)) {
+            throw new Error('Entry groups with node and browser targets can not be used together');
+          }
+
+          var loaderContent = isNodeTarget ? self._getNodeLoaderContent() : self._getBrowserLoaderContent();
+          var createFilePromise = Promise.resolve();
+          if (self._loaderContent !== loaderContent) {
+            self._loaderContent = loaderContent;
+            createFilePromise = wallaby.createFile({
+              order: -3,
+              path: 'wallaby-webpack.js',
+              content: loaderContent
+            });
+          }
+
+          return createFilePromise.then(() => ({
+            diagnostics: EntryGroups._mergeDiagnostics(_.flatMap(results, 'diagnostics')),
+            testDependencies: _.assign.apply(_, [{}].concat(_.map(results, 'testDependencies'))),
+            testDependents: _.mergeWith.apply(_, [{}].concat(_.map(results, 'testDependents'),
+              (objValue, srcValue) => _.union(objValue || [], srcValue)))
+          }));
+        });
+    };
+  }
+
+  static _mergeDiagnostics(diagnostics) {
+    // source files are built by every group importing them, so the same error may be reported by more than one group
+    var merged = {};
+    _.each(diagnostics, diagnostic => {
+      var key = JSON.stringify([diagnostic.file, diagnostic.line, diagnostic.message]);
+      if (merged[key]) {
+        merged[key].tests = _.union(merged[key].tests, diagnostic.tests);
+      } else {
+        merged[key] = _.assign({}, diagnostic);
+      }
+    });
+    return _.values(merged);
+  }
+
+  _getTestFileGroup(file) {
+    return _.find(this._groups, group => group.testPatterns && _.some(group.testPatterns,
+      p => file.fullPath === p || _.startsWith(file.fullPath, p + path.sep) || mm(file.fullPath, p, {dot: true})))
+      || _.find(this._groups, group => !group.testPatterns);
+  }
+
+  _getRegistries() {
+    return '{' + _.map(this._groups, group => JSON.stringify(group.name) + ': function () { return '
+        + group.postprocessor.getRegistry() + '; }').join(',') + '}';
+  }
+
+  _getBundlerContent() {
+    // mocks registered while a test file is loaded go to the group loading it, other mocks go to all groups
+    // that have the module
+    return 'var groups = __moduleBundler.groups = {};'
+      + 'Object.keys(registries).forEach(function (name) { Object.defineProperty(groups, name, {enumerable: true, get: registries[name]}); });'
+      + 'var forward = function (method, args) {'
+      + 'var names = Object.keys(groups), error = null, found = false;'
+      + 'for (var i = 0; i < names.length; i++) { var group = groups[names[i]]; if (group && group.currentScope) return group[method].apply(group, args); }'
+      + 'for (var j = 0; j < names.length; j++) { try { if (groups[names[j]]) { groups[names[j]][method].apply(groups[names[j]], args); found = true; } } catch (e) { error = error || e; } }'
+      + 'if (!found && error) throw error;'
+      + '};'
+      + '__moduleBundler.mock = function () { forward("mock", arguments); };'
+      + '__moduleBundler.unmock = function () { forward("unmock", arguments); };';
+  }
+
+  _getBrowserLoaderContent() {
+    return '(function (__moduleBundler, registries) {'
+      + this._getBundlerContent()
+      + '__moduleBundler.loadTests = function () {'
+      + 'var names = Object.keys(groups).filter(function (name) { return groups[name]; });'
+      + 'var delayStart = names.some(function (name) { return groups[name].hasAsyncModules; }) && typeof window.wallaby.delayStart === "function";'
+      + 'if (delayStart) window.wallaby.delayStart();'
+      + 'window.wallaby._startWhenReceiverIsReady(function () {'
+      + 'var loading = Promise.all(names.map(function (name) { return groups[name].loadLoadedTests(); }));'
+      + 'if (delayStart) loading.then(function () { window.wallaby.start(); }, function (e) { if (typeof console === "object") console.error(e); window.wallaby.start(); });'
+      + '});'
+      + '};'
+      + '})(window.__moduleBundler = {}, ' + this._getRegistries() + ');';
+  }
+
+  _getNodeLoaderContent() {
+    var loaderFiles = _.fromPairs(_.map(this._groups, group => [group.name, group.postprocessor.getLoaderFile()]));
+    return '(function (__moduleBundler, registries) {'
+      + 'var path = require("path");'
+      + 'var loaderFiles = ' + JSON.stringify(loaderFiles) + ';'
+      + 'var loaders = {};'
+      + 'Object.keys(loaderFiles).forEach(function (name) { loaders[name] = require(path.join(__dirname, loaderFiles[name])); });'
+      + this._getBundlerContent()
+      + '__moduleBundler.loadTests = function (tests) {'
+      // so that the loader (and the group loaders) required in wallaby setup of the next test run are loaded again
+      + 'delete require.cache[__filename];'
+      + 'var loading = Object.keys(loaders).map(function (name) { return loaders[name].loadTests(tests); });'
+      // a promise when some test modules are async
+      + 'return loading.some(function (result) { return result && typeof result.then === "function"; }) ? Promise.all(loading) : undefined;'
+      + '};'
+      + 'module.exports = __moduleBundler;'
+      + '})((typeof globalThis === "object" ? globalThis : global).__moduleBundler = {}, ' + this._getRegistries() + ');';
+  }
+}
+
+module.exports = EntryGroups;
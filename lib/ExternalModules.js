@@ -0,0 +1,111 @@
+'use strict';
+
+var path = require('path');
+var _ = require('lodash');
+
+// externals of these types are variables of the global object
+var GLOBAL_TYPES = ['var', 'assign', 'this', 'window', 'self', 'global', 'root'];
+// externals of these types are modules of the host module system, umd externals are also a global (root) variable
+var MODULE_TYPES = ['commonjs', 'commonjs2', 'commonjs-module', 'node-commonjs', 'amd', 'amd-require', 'umd', 'umd2', 'system'];
+
+/*
+ Webpack `externals` and local stand-ins for them. Externals are expected to be provided by the page (or by the
+ host module system), and are rendered by webpack for the bundle library target, so the postprocessor renders them
+ as shims instead: global variable externals are looked up on the global object, module externals are required with
+ node.js `require` (for node target), umd externals are looked up both ways. When an external is not available, the
+ shim throws a "Cannot find module" error. Stand-ins are local files used instead of externals, or instead of modules
+ of remote containers (module federation), requests matching a stand-in exactly are resolved to the file.
+ */
+
+class ExternalModules {
+  constructor(standIns) {
+    this._standIns = _.mapValues(standIns || {}, p => path.resolve(process.cwd(), p));
+  }
+
+  configure(opts, isWebpack5) {
+    var requests = _.keys(this._standIns);
+    if (!requests.length) return;
+
+    var resolve = opts.resolve = opts.resolve || {};
+    if (_.isArray(resolve.alias)) {
+      resolve.alias = resolve.alias.concat(_.map(this._standIns, (file, request) => ({name: request, alias: file, onlyModule: true})));
+    } else {
+      resolve.alias = _.assign({}, resolve.alias, _.mapKeys(this._standIns, (file, request) => request + '$'));
+    }
+
+    if (opts.externals) {
+      opts.externals = _.compact(_.map(_.isArray(opts.externals) ? opts.externals : [opts.externals],
+        externals => this._skipStandIns(externals, isWebpack5)));
+    }
+  }
+
+  getShim(m, isNodeTarget) {
+    // webpack 1 externals have `type`, later versions have `externalType`
+    if (!m.external && !m.externalType) return null;
+    var type = m.externalType || m.type;
+    var request = m.request;
+    if (_.isNil(request)) return null;
+
+    var globalRequest, moduleRequest;
+    if (_.isPlainObject(request)) {
+      globalRequest = request.root || request.var || (_.includes(GLOBAL_TYPES, type) ? request[type] : undefined);
+      moduleRequest = request.commonjs2 || request.commonjs || request.amd
+        || (_.includes(MODULE_TYPES, type) ? request[type] : undefined);
+    } else if (_.includes(GLOBAL_TYPES, type)) {
+      globalRequest = request;
+    } else if (_.includes(MODULE_TYPES, type)) {
+      moduleRequest = request;
+      if (type === 'umd' || type === 'umd2') globalRequest = request;
+    } else {
+      // script, promise, module and import externals are left to webpack
+      return null;
+    }
+    if (_.isNil(globalRequest) && _.isNil(moduleRequest)) return null;
+
+    globalRequest = _.isNil(globalRequest) ? null : [].concat(globalRequest);
+    moduleRequest = _.isNil(moduleRequest) ? null : [].concat(moduleRequest);
+    var lookup = (value, props) => _.reduce(props, (memo, prop) => memo + '[' + JSON.stringify(prop) + ']', value);
+    var fromGlobal = globalRequest && ('if (e === undefined) e = (function () { var g = __webpack_require__.g;'
+      + _.map(globalRequest, prop => 'if (g != null) g = g[' + JSON.stringify(prop) + '];').join('')
+      + 'return g == null ? undefined : g; })();');
+    var fromModule = moduleRequest && ('if (e === undefined && typeof require === "function") '
+      // umd externals may be a global variable rather than a module
+      + (globalRequest ? 'try { e = ' : 'e = ')
+      + lookup('require(' + JSON.stringify(moduleRequest[0]) + ')', moduleRequest.slice(1)) + ';'
+      + (globalRequest ? ' } catch (err) { if (err.code !== "MODULE_NOT_FOUND") throw err; }' : ''));
+    var message = 'Cannot find module \'' + (moduleRequest || globalRequest).join('.') + '\' (' + type
+      + ' webpack external is not available, moduleStandIns option can provide a local file for it)';
+
+    return 'var e;'
+      // node.js modules are the primary source for node target, page globals for browser
+      + _.compact(isNodeTarget ? [fromModule, fromGlobal] : [fromGlobal, fromModule]).join('')
+      + 'if (e === undefined) { e = new Error(' + JSON.stringify(message) + '); e.code = "MODULE_NOT_FOUND"; throw e; }'
+      + 'module.exports = e;';
+  }
+
+  _skipStandIns(externals, isWebpack5) {
+    var isStandIn = request => _.has(this._standIns, request);
+    if (_.isString(externals)) return isStandIn(externals) ? null : externals;
+    if (_.isRegExp(externals)) {
+      var isExternal = request => !isStandIn(request) && externals.test(request);
+      return isWebpack5
+        ? (data, callback) => (isExternal(data.request) ? callback(null, data.request) : callback())
+        : (context, request, callback) => (isExternal(request) ? callback(null, request) : callback());
+    }
+    if (_.isFunction(externals)) {
+      // webpack 5 calls functions with (data, callback), and (context, request, callback) ones with 3 parameters,
+      // the result is returned as functions may return a promise instead of calling the callback
+      if (!isWebpack5) {
+        return (context, request, callback) => (isStandIn(request) ? callback() : externals(context, request, callback));
+      }
+      return (data, callback) => {
+        if (isStandIn(data.request)) return callback();
+        return externals.length === 3 ? externals(data.context, data.request, callback) : externals(data, callback);
+      };
+    }
+    if (_.isPlainObject(externals)) return _.omitBy(externals, (value, request) => isStandIn(request));
+    return externals;
+  }
+}
+
+module.exports = ExternalModules;
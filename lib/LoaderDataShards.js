@@ -0,0 +1,81 @@
+'use strict';
+
+var _ = require('lodash');
+
+// max number of entries of the largest map in a shard, before the number of shards is doubled
+var SHARD_SIZE = 1000;
+
+/*
+ Module lookup maps of the test loader (dependency ids, module paths, test file paths by id, etc.) split into shard
+ files by a hash of the map key, so that when modules are added or removed, only the shards with changed entries are
+ emitted and reloaded, instead of all maps. Each shard file merges its entries into the registry maps, so shards can be
+ loaded in any order, and deletes the entries it has emitted before that are not in the maps anymore, as the registry
+ of a test loader reused in hot mode still has them. The number of shards grows with the number of modules, and never
+ shrinks, so that previously emitted shard files never contain stale entries.
+ */
+
+class LoaderDataShards {
+  constructor(registry, fileName) {
+    this._registry = registry;
+    this._fileName = fileName;
+    this._count = 1;
+    this._emittedEntries = {};
+    // keys of the map entries emitted by each shard, kept after reset, as reused test loaders may still have them
+    this._emittedKeys = {};
+  }
+
+  getCount() {
+    return this._count;
+  }
+
+  getPath(index) {
+    return this._fileName + '.' + index + '.js';
+  }
+
+  reset() {
+    // files emitted before the compiler was re-created need to be emitted again
+    this._emittedEntries = {};
+  }
+
+  getChangedFiles(maps) {
+    var size = _.max(_.map(maps, map => _.size(map))) || 0;
+    var count = this._count;
+    while (size > count * SHARD_SIZE) count *= 2;
+    if (count !== this._count) {
+      this._count = count;
+      this._emittedEntries = {};
+    }
+
+    var shards = _.times(count, () => _.mapValues(maps, () => ({})));
+    _.each(maps, (map, name) => _.each(map, (value, key) => {
+      shards[LoaderDataShards._hash(key) % count][name][key] = value;
+    }));
+
+    return _.filter(_.map(shards, (shard, index) => {
+      var entries = JSON.stringify(shard);
+      if (this._emittedEntries[index] === entries) return null;
+      this._emittedEntries[index] = entries;
+      // entries moved to another shard when the number of shards grows are not deleted
+      var deleted = _.pickBy(
+        _.mapValues(this._emittedKeys[index], (keys, name) => _.reject(keys, key => _.has(maps[name], key))),
+        keys => keys.length);
+      this._emittedKeys[index] = _.mapValues(shard, _.keys);
+      var content = '(function (r) { var s = ' + entries + ', d = ' + JSON.stringify(deleted) + ';'
+        + 'for (var n in d) { if (r[n]) for (var i = 0; i < d[n].length; i++) delete r[n][d[n][i]]; }'
+        + 'for (var n in s) { var m = r[n] || (r[n] = {}); for (var k in s[n]) m[k] = s[n][k]; }'
+        + '})(' + this._registry + ' = ' + this._registry + ' || {});';
+      return {path: this.getPath(index), content: content};
+    }));
+  }
+
+  static _hash(key) {
+    var hash = 0;
+    key = String(key);
+    for (var i = 0; i < key.length; i++) {
+      hash = ((hash << 5) - hash + key.charCodeAt(i)) | 0;
+    }
+    return Math.abs(hash);
+  }
+}
+
+module.exports = LoaderDataShards;
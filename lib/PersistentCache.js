@@ -0,0 +1,95 @@
+'use strict';
+
+var path = require('path');
+var crypto = require('crypto');
+var fs = require('graceful-fs');
+var mkdirp = require('./mkdirp');
+
+/*
+ On-disk store for module build results (and the postprocessor build state) that survives wallaby restarts.
+ Records are JSON files named by a hash of their key, grouped in a sub-directory per configuration hash,
+ so that changing webpack config (or webpack/postprocessor version) never restores stale output.
+ The cache is best effort: any read or write failure is treated as a cache miss.
+ */
+
+class PersistentCache {
+  constructor(directory, configHash) {
+    this._directory = path.join(directory, configHash);
+    this._directoryCreated = false;
+  }
+
+  static hash(content) {
+    return crypto.createHash('md5').update(content).digest('hex');
+  }
+
+  static hashConfig(config) {
+    return PersistentCache.hash(JSON.stringify(PersistentCache._toHashable(config, [])));
+  }
+
+  static _toHashable(value, ancestors) {
+    if (typeof value === 'function' || value instanceof RegExp) {
+      return value.toString();
+    }
+    if (!value || typeof value !== 'object') return value;
+    if (typeof value.toJSON === 'function') return PersistentCache._toHashable(value.toJSON(), ancestors);
+    // only references to an ancestor are circular, the same object may be used by more than one option
+    if (ancestors.indexOf(value) !== -1) return '[Circular]';
+    var nestedAncestors = ancestors.concat([value]);
+    if (Array.isArray(value)) return value.map(item => PersistentCache._toHashable(item, nestedAncestors));
+    var result = {};
+    // plugin instances are hashed along with their class name
+    if (value.constructor && value.constructor !== Object) {
+      result['[class]'] = value.constructor.name;
+    }
+    Object.keys(value).forEach(key => {
+      result[key] = PersistentCache._toHashable(value[key], nestedAncestors);
+    });
+    return result;
+  }
+
+  read(key, callback) {
+    fs.readFile(this._getPath(key), 'utf8', (err, content) => {
+      if (err) return callback(null);
+      var record;
+      try {
+        record = JSON.parse(content);
+      }
+      catch (e) {
+        record = null;
+      }
+      callback(record);
+    });
+  }
+
+  write(key, record) {
+    var content = JSON.stringify(record);
+    this._ensureDirectory(err => {
+      if (err) return;
+      var filePath = this._getPath(key);
+      var tempPath = filePath + '.' + process.pid + '.tmp';
+      // writing to a temp file first, so that a concurrently starting process never reads a partial record
+      fs.writeFile(tempPath, content, err => {
+        if (err) return fs.unlink(tempPath, () => {
+        });
+        fs.rename(tempPath, filePath, err => {
+          if (err) fs.unlink(tempPath, () => {
+          });
+        });
+      });
+    });
+  }
+
+  _getPath(key) {
+    return path.join(this._directory, PersistentCache.hash(key) + '.json');
+  }
+
+  _ensureDirectory(callback) {
+    if (this._directoryCreated) return callback();
+    mkdirp(this._directory, err => {
+      this._directoryCreated = !err;
+      callback(err);
+    });
+  }
+}
+
+module.exports = PersistentCache;
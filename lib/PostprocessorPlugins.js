@@ -0,0 +1,61 @@
+'use strict';
+
+var _ = require('lodash');
+var AureliaModuleIdPlugin = require('./plugins/AureliaModuleIdPlugin');
+
+var HOOKS = ['resolveModuleId', 'transformEmittedModule', 'beforeEmitLoader', 'afterCompile'];
+
+/*
+ Plugins taking part in the postprocessor pipeline, so that framework specific behaviour doesn't have to be
+ hard-coded in the postprocessor. A plugin is an object with (any of) the hook methods:
+  - `resolveModuleId(id, {module, file, isEntryFile, isTestFile}, context)`: returns the id the module is registered
+    by in the test loader;
+  - `transformEmittedModule({id, path, content, sourceMap, module, file, isEntryFile, isTestFile}, context)`: returns
+    the module file to emit;
+  - `beforeEmitLoader({path, content}, context)`: returns the test loader file to emit;
+  - `afterCompile({compilation, modules}, context)`: called after every compilation with the built modules,
+    may return a promise.
+ Hooks are called in the order of plugins, built-in plugins first. Each hook (apart from `afterCompile`) gets the
+ result of the previous plugin, returning `undefined` keeps it as is.
+ */
+
+class PostprocessorPlugins {
+  constructor(plugins) {
+    var builtInPlugins = [new AureliaModuleIdPlugin()];
+    this._plugins = builtInPlugins.concat(_.compact([].concat(plugins || [])));
+    _.each(this._plugins, plugin => {
+      if (!_.some(HOOKS, hook => _.isFunction(plugin[hook]))) {
+        throw new Error('Postprocessor plugin ' + (plugin.name || plugin.constructor.name)
+          + ' does not implement any of the hooks: ' + HOOKS.join(', '));
+      }
+    });
+  }
+
+  resolveModuleId(id, moduleInfo, context) {
+    return this._waterfall('resolveModuleId', id, [moduleInfo, context]);
+  }
+
+  transformEmittedModule(emittedModule, context) {
+    return this._waterfall('transformEmittedModule', emittedModule, [context]);
+  }
+
+  beforeEmitLoader(loader, context) {
+    return this._waterfall('beforeEmitLoader', loader, [context]);
+  }
+
+  afterCompile(compilation, context) {
+    return _.reduce(this._plugins, (promise, plugin) => _.isFunction(plugin.afterCompile)
+      ? promise.then(() => plugin.afterCompile(compilation, context))
+      : promise, Promise.resolve());
+  }
+
+  _waterfall(hook, initialValue, args) {
+    return _.reduce(this._plugins, (value, plugin) => {
+      if (!_.isFunction(plugin[hook])) return value;
+      var result = plugin[hook].apply(plugin, [value].concat(args));
+      return result === undefined ? value : result;
+    }, initialValue);
+  }
+}
+
+module.exports = PostprocessorPlugins;
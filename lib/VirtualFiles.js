@@ -0,0 +1,151 @@
+'use strict';
+
+var path = require('path');
+var mm = require('minimatch');
+
+/*
+ In-memory files that webpack sees as if they were on disk.
+ Files are registered by path or by glob, with a string/Buffer content or a function returning it
+ (called with the requested file path). Function contents are re-evaluated on every run,
+ and the files with changed contents are reported, so that modules depending on them can be rebuilt.
+ */
+
+class VirtualFiles {
+  constructor(definitions, baseDir) {
+    this._files = {};
+    this._patterns = [];
+    this._contents = {};
+    this._changedAt = {};
+    this._directories = {};
+
+    Object.keys(definitions || {}).forEach(key => {
+      var fullPath = path.resolve(baseDir, key);
+      if (VirtualFiles._isGlob(key)) {
+        this._patterns.push({pattern: fullPath, content: definitions[key]});
+        return;
+      }
+      this._files[fullPath] = definitions[key];
+      this._addToDirectories(fullPath);
+    });
+  }
+
+  isEmpty() {
+    return !Object.keys(this._files).length && !this._patterns.length;
+  }
+
+  isDirectory(dirPath) {
+    return !!this._directories[dirPath];
+  }
+
+  getPaths() {
+    return Object.keys(this._contents);
+  }
+
+  getTimestamp(filePath) {
+    return this._changedAt[filePath];
+  }
+
+  read(filePath) {
+    if (!this._contents.hasOwnProperty(filePath)) {
+      var definition = this._getDefinition(filePath);
+      var content = definition === undefined ? undefined : VirtualFiles._evaluate(definition, filePath);
+      if (content === undefined) return undefined;
+      this._contents[filePath] = content;
+      this._changedAt[filePath] = +new Date();
+      // files matching globs are listed in their directories once they have been read
+      this._addToDirectories(filePath);
+    }
+    return this._contents[filePath];
+  }
+
+  readdir(dirPath) {
+    return Object.keys(this._directories[dirPath] || {});
+  }
+
+  stat(filePath) {
+    if (this.isDirectory(filePath)) {
+      return VirtualFiles._createStats(false, 0, new Date(0));
+    }
+    var content = this.read(filePath);
+    if (content === undefined) return undefined;
+    return VirtualFiles._createStats(true, Buffer.byteLength(content), new Date(this.getTimestamp(filePath)));
+  }
+
+  refresh() {
+    // re-evaluating contents of the files read so far, returns paths of the changed ones
+    var changedPaths = [];
+    Object.keys(this._contents).forEach(filePath => {
+      var definition = this._getDefinition(filePath);
+      var content = definition === undefined ? undefined : VirtualFiles._evaluate(definition, filePath);
+      if (content !== undefined && String(content) === String(this._contents[filePath])) return;
+      changedPaths.push(filePath);
+      if (content === undefined) {
+        delete this._contents[filePath];
+        delete this._changedAt[filePath];
+        if (!this._files.hasOwnProperty(filePath)) this._removeFromDirectories(filePath);
+      } else {
+        this._contents[filePath] = content;
+        this._changedAt[filePath] = +new Date();
+      }
+    });
+    return changedPaths;
+  }
+
+  _addToDirectories(filePath) {
+    // parent directories of virtual files list them, the directories that don't exist on disk are virtual as well
+    for (var child = filePath, dir = path.dirname(child); dir !== child; child = dir, dir = path.dirname(dir)) {
+      (this._directories[dir] || (this._directories[dir] = {}))[path.basename(child)] = true;
+    }
+  }
+
+  _removeFromDirectories(filePath) {
+    for (var child = filePath, dir = path.dirname(child); dir !== child; child = dir, dir = path.dirname(dir)) {
+      var names = this._directories[dir];
+      if (!names) return;
+      delete names[path.basename(child)];
+      if (Object.keys(names).length) return;
+      delete this._directories[dir];
+    }
+  }
+
+  _getDefinition(filePath) {
+    if (this._files.hasOwnProperty(filePath)) return this._files[filePath];
+    for (var i = 0; i < this._patterns.length; i++) {
+      if (mm(filePath, this._patterns[i].pattern, {dot: true})) return this._patterns[i].content;
+    }
+    return undefined;
+  }
+
+  static _isGlob(pattern) {
+    return /[*?[\]{}!]/.test(pattern);
+  }
+
+  static _evaluate(definition, filePath) {
+    var content = typeof definition === 'function' ? definition(filePath) : definition;
+    if (content === undefined || content === null) return undefined;
+    return Buffer.isBuffer(content) ? content : String(content);
+  }
+
+  static _createStats(isFile, size, mtime) {
+    return {
+      isFile: () => isFile,
+      isDirectory: () => !isFile,
+      isSymbolicLink: () => false,
+      isBlockDevice: () => false,
+      isCharacterDevice: () => false,
+      isFIFO: () => false,
+      isSocket: () => false,
+      size: size,
+      mtime: mtime,
+      mtimeMs: +mtime,
+      ctime: mtime,
+      ctimeMs: +mtime,
+      atime: mtime,
+      atimeMs: +mtime,
+      birthtime: mtime,
+      birthtimeMs: +mtime
+    };
+  }
+}
+
+module.exports = VirtualFiles;
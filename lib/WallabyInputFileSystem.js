@@ -1,29 +1,75 @@
 'use strict';
 
+var path = require('path');
 var fs = require("graceful-fs");
+var _ = require('lodash');
+
+// file system errors that are as good as results to cache, other errors (like EMFILE) may not repeat
+var CACHEABLE_ERRORS = {ENOENT: true, ENOTDIR: true, EINVAL: true};
+var CACHED_METHODS = ['stat', 'lstat', 'readdir', 'readlink', 'realpath', 'readFile'];
+// least recently used results are dropped from the cache when there are more of them
+var MAX_CACHED_RESULTS = 20000;
 
 class WallabyInputFileSystem {
   constructor(webpackPostprocessor) {
     this._postprocessor = webpackPostprocessor;
+    // results for files not tracked by wallaby (for example node_modules), until purged,
+    // in the order of use (a Map iterates in the order of insertion)
+    this._cache = new Map();
+    // modification times of read files matching the postprocessor watch list
+    this._watchedFiles = {};
   }
 
   isSync() {
     return false;
   }
 
-  stat() {
-    return fs.stat.apply(fs, arguments);
+  stat(filePath, options, callback) {
+    return this._virtualStat('stat', arguments) || this._cachedCall('stat', arguments);
   }
 
-  readdir() {
-    return fs.readdir.apply(fs, arguments);
+  readdir(dirPath, options, callback) {
+    // virtual files are listed along with the files on disk in the same directory
+    var virtualFiles = this._postprocessor.getVirtualFiles();
+    if (!virtualFiles.isDirectory(dirPath)) {
+      return this._cachedCall('readdir', arguments);
+    }
+    callback = typeof options === 'function' ? options : callback;
+    this._cachedCall('readdir', [dirPath, (err, names) => {
+      callback(null, _.union(err ? [] : names, virtualFiles.readdir(dirPath)));
+    }]);
   }
 
   readlink() {
-    return fs.readlink.apply(fs, arguments);
+    return this._cachedCall('readlink', arguments);
+  }
+
+  lstat(filePath, options, callback) {
+    return this._virtualStat('lstat', arguments) || this._cachedCall('lstat', arguments);
+  }
+
+  realpath(filePath, options, callback) {
+    // virtual files, and directories of virtual files that don't exist on disk, are where they are requested
+    var virtualFiles = this._postprocessor.getVirtualFiles();
+    if (virtualFiles.isDirectory(filePath)) {
+      callback = typeof options === 'function' ? options : callback;
+      return this._cachedCall('realpath', [filePath, (err, realPath) => callback(null, err ? filePath : realPath)]);
+    }
+    if (virtualFiles.read(filePath) !== undefined) {
+      callback = typeof options === 'function' ? options : callback;
+      return process.nextTick(() => callback(null, filePath));
+    }
+    return this._cachedCall('realpath', arguments);
   }
 
-  readFile(filePath, callback) {
+  readFile(filePath, options, callback) {
+    // webpack 5 may pass read options
+    callback = typeof options === 'function' ? options : callback;
+    // virtual files are served from memory
+    var virtualContent = this._postprocessor.getVirtualFiles().read(filePath);
+    if (virtualContent !== undefined) {
+      return process.nextTick(() => callback(null, virtualContent));
+    }
     // for tracked files, reading file from wallaby cache (it will read it from disk if required)
     var allTrackedFiles = this._postprocessor.getAllTrackedFiles();
     var trackedFile = allTrackedFiles[filePath];
@@ -36,27 +82,212 @@ class WallabyInputFileSystem {
           callback(err);
         });
     }
-    // for other files just reading from disk
-    return fs.readFile.apply(fs, arguments);
+    var args = arguments;
+    if (this._postprocessor.isWatchedFile(filePath)) {
+      return this._watchFile(filePath, () => fs.readFile.apply(fs, args));
+    }
+    // for other files reading from disk, or from the cache if the file has been read before
+    return this._cachedCall('readFile', args);
   }
 
-  statSync() {
-    return fs.statSync.apply(fs, arguments);
+  statSync(filePath) {
+    var virtualFiles = this._postprocessor.getVirtualFiles();
+    if (virtualFiles.isDirectory(filePath)) {
+      try {
+        return this._cachedSyncCall('stat', [filePath]);
+      }
+      catch (e) {
+        return virtualFiles.stat(filePath);
+      }
+    }
+    return virtualFiles.stat(filePath) || this._cachedSyncCall('stat', arguments);
   }
 
-  readdirSync() {
-    return fs.readdirSync.apply(fs, arguments);
+  readdirSync(dirPath) {
+    var virtualFiles = this._postprocessor.getVirtualFiles();
+    if (!virtualFiles.isDirectory(dirPath)) {
+      return this._cachedSyncCall('readdir', arguments);
+    }
+    var names;
+    try {
+      names = this._cachedSyncCall('readdir', [dirPath]);
+    }
+    catch (e) {
+      names = [];
+    }
+    return _.union(names, virtualFiles.readdir(dirPath));
   }
 
   readFileSync(filePath) {
+    var virtualContent = this._postprocessor.getVirtualFiles().read(filePath);
+    if (virtualContent !== undefined) {
+      return virtualContent;
+    }
     // for tracked files, reading file from wallaby cache (it will read it from disk if required)
     var allTrackedFiles = this._postprocessor.getAllTrackedFiles();
     var trackedFile = allTrackedFiles[filePath];
     if (trackedFile) {
       return trackedFile.getContentSync();
     }
-    // for other files just reading from disk
-    return fs.readFileSync.apply(fs, arguments);
+    if (this._postprocessor.isWatchedFile(filePath)) {
+      this._watchFileSync(filePath);
+      return fs.readFileSync.apply(fs, arguments);
+    }
+    // for other files reading from disk, or from the cache if the file has been read before
+    return this._cachedSyncCall('readFile', arguments);
+  }
+
+  purge(filePaths) {
+    // removing cached results for the files, and for all the directories containing them, as the directories
+    // may have been cached as missing (when added files are the first ones in them) or with their previous contents
+    _.each(filePaths, filePath => {
+      for (var p = filePath; ; p = path.dirname(p)) {
+        _.each(CACHED_METHODS, method => {
+          this._cache.delete(method + ':' + p);
+        });
+        if (path.dirname(p) === p) break;
+      }
+    });
+  }
+
+  getChangedWatchedFiles(callback) {
+    // read watched files that were modified, deleted or created since they were read
+    var filePaths = _.keys(this._watchedFiles);
+    var changedFiles = [];
+    var remaining = filePaths.length;
+    if (!remaining) return callback(changedFiles);
+    _.each(filePaths, filePath => {
+      fs.stat(filePath, (err, stats) => {
+        var mtime = err ? null : +stats.mtime;
+        if (mtime !== this._watchedFiles[filePath]) {
+          changedFiles.push(filePath);
+          this._watchedFiles[filePath] = mtime;
+        }
+        if (!--remaining) callback(changedFiles);
+      });
+    });
+  }
+
+  _watchFile(filePath, read) {
+    // watched files are stat'ed before they are read, so that the changes made after reading a file are never missed
+    if (this._watchedFiles.hasOwnProperty(filePath)) return read();
+    fs.stat(filePath, (err, stats) => {
+      if (!this._watchedFiles.hasOwnProperty(filePath)) {
+        this._watchedFiles[filePath] = err ? null : +stats.mtime;
+      }
+      read();
+    });
+  }
+
+  _watchFileSync(filePath) {
+    if (this._watchedFiles.hasOwnProperty(filePath)) return;
+    var stats;
+    try {
+      stats = fs.statSync(filePath);
+    }
+    catch (e) {
+      stats = null;
+    }
+    this._watchedFiles[filePath] = stats && +stats.mtime;
+  }
+
+  _isCacheable(filePath, options) {
+    // tracked files may be added, deleted or changed any time, watched files are expected to change
+    return typeof filePath === 'string'
+      && (options === undefined || options === null || typeof options === 'function' || _.isEmpty(options))
+      && !this._postprocessor.getAllTrackedFiles()[filePath]
+      && !this._postprocessor.isWatchedFile(filePath);
+  }
+
+  _cachedCall(method, args) {
+    var filePath = args[0];
+    var callback = args[args.length - 1];
+    if (args.length > 3 || typeof callback !== 'function' || !this._isCacheable(filePath, args.length === 3 ? args[1] : undefined)) {
+      return fs[method].apply(fs, args);
+    }
+    var key = method + ':' + filePath;
+    var entry = this._getCached(key);
+    if (entry && entry.done) {
+      return process.nextTick(() => callback(entry.err, entry.result));
+    }
+    // concurrent calls for the same file wait for the same result
+    if (entry) {
+      return entry.callbacks.push(callback);
+    }
+    entry = {callbacks: [callback]};
+    this._setCached(key, entry);
+    fs[method](filePath, (err, result) => {
+      var callbacks = entry.callbacks;
+      if (err && !CACHEABLE_ERRORS[err.code]) {
+        if (this._cache.get(key) === entry) this._cache.delete(key);
+      } else {
+        entry.done = true;
+        entry.err = err;
+        entry.result = result;
+        delete entry.callbacks;
+      }
+      _.each(callbacks, cb => cb(err, result));
+    });
+  }
+
+  _cachedSyncCall(method, args) {
+    var filePath = args[0];
+    var syncMethod = method + 'Sync';
+    if (args.length > 2 || !this._isCacheable(filePath, args[1])) {
+      return fs[syncMethod].apply(fs, args);
+    }
+    var key = method + ':' + filePath;
+    var entry = this._getCached(key);
+    if (entry && entry.done) {
+      if (entry.err) throw entry.err;
+      return entry.result;
+    }
+    var result;
+    try {
+      result = fs[syncMethod](filePath);
+    }
+    catch (err) {
+      if (CACHEABLE_ERRORS[err.code] && !entry) {
+        this._setCached(key, {done: true, err: err});
+      }
+      throw err;
+    }
+    if (!entry) {
+      this._setCached(key, {done: true, err: null, result: result});
+    }
+    return result;
+  }
+
+  _getCached(key) {
+    var entry = this._cache.get(key);
+    if (entry) {
+      // moving the entry to the end of the cache as the most recently used one
+      this._cache.delete(key);
+      this._cache.set(key, entry);
+    }
+    return entry;
+  }
+
+  _setCached(key, entry) {
+    this._cache.set(key, entry);
+    if (this._cache.size > MAX_CACHED_RESULTS) {
+      this._cache.delete(this._cache.keys().next().value);
+    }
+  }
+
+  _virtualStat(method, args) {
+    var filePath = args[0];
+    var callback = typeof args[1] === 'function' ? args[1] : args[2];
+    var virtualFiles = this._postprocessor.getVirtualFiles();
+    // directories of virtual files only get virtual stats when they don't exist on disk
+    if (virtualFiles.isDirectory(filePath)) {
+      this._cachedCall(method, [filePath, (err, stats) => callback(null, err ? virtualFiles.stat(filePath) : stats)]);
+      return true;
+    }
+    var stats = virtualFiles.stat(filePath);
+    if (!stats) return false;
+    process.nextTick(() => callback(null, stats));
+    return true;
   }
 
   readJson(filePath, callback) {
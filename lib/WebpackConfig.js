@@ -0,0 +1,238 @@
+'use strict';
+
+var path = require('path');
+var _ = require('lodash');
+
+// plugins that are not useful for tests, and slow down or break the build, because modules are emitted separately
+// and nothing is written to disk
+var INCOMPATIBLE_PLUGINS = [
+  'HtmlWebpackPlugin', 'HtmlWebpackHarddiskPlugin', 'ScriptExtHtmlWebpackPlugin', 'PreloadWebpackPlugin',
+  'FaviconsWebpackPlugin', 'MiniCssExtractPlugin', 'ExtractTextPlugin', 'OptimizeCssAssetsWebpackPlugin',
+  'CssMinimizerPlugin', 'CopyWebpackPlugin', 'CopyPlugin', 'CompressionPlugin', 'BrotliPlugin', 'BundleAnalyzerPlugin',
+  'StatsWriterPlugin', 'WebpackManifestPlugin', 'ManifestPlugin', 'AssetsWebpackPlugin', 'CleanWebpackPlugin',
+  'GenerateSW', 'InjectManifest', 'HotModuleReplacementPlugin', 'UglifyJsPlugin', 'TerserPlugin',
+  'ForkTsCheckerWebpackPlugin', 'ModuleFederationPlugin', 'ContainerPlugin', 'ContainerReferencePlugin'
+];
+
+/*
+ Webpack configuration loaded from a project webpack config file, and wallaby specific overrides for it.
+ The config file may export a config object, a function called with `env` and `argv` (like webpack CLI does),
+ a promise, or an array of those (multi-config), in which case the config is selected by its `name`.
+ Overrides remove plugins by name, and replace (or remove) loaders in module rules. Known incompatible plugins are
+ removed, and CSS extraction loaders are replaced with style-loader (or with the built-in style loader if
+ style-loader is not installed), unless they are kept explicitly.
+ */
+
+class WebpackConfig {
+  constructor(opts) {
+    this._configFile = opts.configFile;
+    this._configName = opts.configName;
+    this._env = opts.env || {};
+    this._argv = _.assign({env: this._env}, opts.argv);
+    var keepPlugins = [].concat(opts.keepPlugins || []);
+    var keepLoaders = [].concat(opts.keepLoaders || []);
+    this._removePlugins = _.reject(INCOMPATIBLE_PLUGINS, name => _.some(keepPlugins, k => WebpackConfig._matchesName(name, k)))
+      .concat(opts.removePlugins || []);
+    this._replaceLoaders = _.assign(
+      _.omitBy(WebpackConfig._getIncompatibleLoaders(), (replacement, name) => _.some(keepLoaders, k => WebpackConfig.isLoader(name, k))),
+      opts.replaceLoaders);
+  }
+
+  load(baseDir) {
+    if (!this._configFile) return Promise.resolve(undefined);
+    var configPath = path.resolve(baseDir, this._configFile);
+    return new Promise(resolve => {
+      var exported = require(configPath);
+      resolve(exported && exported.__esModule ? exported.default : exported);
+    })
+      .then(config => this._evaluate(config))
+      .then(config => {
+        if (!_.isArray(config)) return config;
+        return Promise.all(_.map(config, c => this._evaluate(c))).then(configs => this._select(configs, configPath));
+      });
+  }
+
+  applyOverrides(config, logger, isWebpack5) {
+    if (this._removePlugins.length && config.plugins) {
+      config.plugins = _.reject(config.plugins, plugin => {
+        var pluginName = WebpackConfig.getPluginName(plugin);
+        var isRemoved = _.some(this._removePlugins, name => WebpackConfig._matchesName(pluginName, name));
+        if (isRemoved && logger) logger.debug('Webpack plugin ' + pluginName + ' is removed');
+        return isRemoved;
+      });
+    }
+    if (!_.isEmpty(this._replaceLoaders) && config.module) {
+      _.each(['rules', 'loaders', 'preLoaders', 'postLoaders'], key => {
+        if (_.isArray(config.module[key])) {
+          config.module[key] = this._replaceRulesLoaders(config.module[key], logger, isWebpack5);
+        }
+      });
+    }
+    return config;
+  }
+
+  static getPluginName(plugin) {
+    if (!plugin) return undefined;
+    // function plugins are named by the function name
+    if (_.isFunction(plugin)) return plugin.name;
+    return plugin.constructor && plugin.constructor.name;
+  }
+
+  static isLoader(loader, name) {
+    // loaders may be specified by name (with or without `-loader` suffix), or by path (of the package or the file),
+    // with a query
+    var loaderPath = String(loader).split('?')[0].replace(/\\/g, '/');
+    var names = _.endsWith(name, '-loader') ? [name] : [name, name + '-loader'];
+    return _.some(names, n => loaderPath === n
+      || _.endsWith(loaderPath, '/' + n)
+      || _.endsWith(loaderPath, '/' + n + '.js')
+      || _.includes(loaderPath, '/node_modules/' + n + '/'));
+  }
+
+  static getLoaders(config) {
+    // names (or paths) of loaders used in module rules, without queries; function `use` can't be inspected
+    var loaders = [];
+    var addEntries = entries => _.each(entries, entry => {
+      var loader = _.isString(entry) ? entry : entry && entry.loader;
+      if (_.isString(loader)) loaders.push.apply(loaders, _.map(loader.split('!'), l => l.split('?')[0]));
+    });
+    var addRules = rules => _.each(rules, rule => {
+      if (!_.isPlainObject(rule)) return;
+      addEntries([rule.loader]);
+      addEntries(rule.loaders);
+      if (rule.use && !_.isFunction(rule.use)) addEntries([].concat(rule.use));
+      addRules(rule.oneOf);
+      addRules(rule.rules);
+    });
+    _.each(['rules', 'loaders', 'preLoaders', 'postLoaders'], key => addRules(config.module && config.module[key]));
+    return _.uniq(_.compact(loaders));
+  }
+
+  _evaluate(config) {
+    return Promise.resolve(_.isFunction(config) ? config(this._env, this._argv) : config);
+  }
+
+  _select(configs, configPath) {
+    if (this._configName === undefined) return configs[0];
+    var config = _.find(configs, c => c && c.name === this._configName);
+    if (!config) {
+      throw new Error('Webpack config named "' + this._configName + '" is not found in ' + configPath);
+    }
+    return config;
+  }
+
+  _replaceRulesLoaders(rules, logger, isWebpack5) {
+    return _.filter(_.map(rules, rule => this._replaceRuleLoaders(rule, logger, isWebpack5)));
+  }
+
+  _replaceRuleLoaders(rule, logger, isWebpack5) {
+    if (!_.isPlainObject(rule)) return rule;
+    var result = _.clone(rule);
+    var hadLoaders = false;
+    var replaced;
+
+    if (_.isString(rule.loader)) {
+      hadLoaders = true;
+      // webpack 1 rules only have `query`, webpack 5 rules only have `options`
+      var optionsKey = rule.query ? 'query' : (rule.options || isWebpack5 ? 'options' : 'query');
+      replaced = this._replaceEntries(rule[optionsKey]
+        ? [{loader: rule.loader, options: rule[optionsKey]}]
+        : rule.loader.split('!'), logger);
+      if (replaced) {
+        delete result.loader;
+        delete result.query;
+        delete result.options;
+        if (replaced.length === 1 && !_.isString(replaced[0])) {
+          result.loader = replaced[0].loader;
+          if (replaced[0].options || replaced[0].query) {
+            result[optionsKey] = replaced[0].options || replaced[0].query;
+          }
+        } else if (replaced.length) {
+          result.loader = _.map(replaced, WebpackConfig._stringifyEntry).join('!');
+        }
+      }
+    }
+
+    if (_.isArray(rule.loaders)) {
+      hadLoaders = true;
+      replaced = this._replaceEntries(_.flatMap(rule.loaders, l => _.isString(l) ? l.split('!') : [l]), logger);
+      if (replaced) {
+        result.loaders = replaced;
+        if (!replaced.length) delete result.loaders;
+      }
+    }
+
+    // function `use` can't be inspected, and is left as is
+    if (rule.use && !_.isFunction(rule.use)) {
+      hadLoaders = true;
+      var use = _.isString(rule.use) ? rule.use.split('!') : _.flatMap([].concat(rule.use), u => _.isString(u) ? u.split('!') : [u]);
+      replaced = this._replaceEntries(use, logger);
+      if (replaced) {
+        result.use = replaced;
+        if (!replaced.length) delete result.use;
+      }
+    }
+
+    if (_.isArray(rule.oneOf)) {
+      result.oneOf = this._replaceRulesLoaders(rule.oneOf, logger, isWebpack5);
+    }
+    if (_.isArray(rule.rules)) {
+      result.rules = this._replaceRulesLoaders(rule.rules, logger, isWebpack5);
+    }
+
+    // rules left without loaders (and without nested rules) are removed
+    var hasLoaders = result.loader || result.loaders || result.use;
+    if (hadLoaders && !hasLoaders && !result.oneOf && !result.rules) {
+      return null;
+    }
+    return result;
+  }
+
+  _replaceEntries(entries, logger) {
+    // returns undefined when nothing is replaced, so that the original rule is kept as is
+    var changed = false;
+    var result = _.flatMap(entries, entry => {
+      var loader = _.isString(entry) ? entry : entry && entry.loader;
+      var name = loader ? _.findKey(this._replaceLoaders, (replacement, n) => WebpackConfig.isLoader(loader, n)) : undefined;
+      if (name === undefined) return [entry];
+      changed = true;
+      var replacement = this._replaceLoaders[name];
+      if (logger) {
+        logger.debug('Webpack loader ' + loader + (replacement
+          ? (' is replaced with ' + (_.isString(replacement) ? replacement : replacement.loader))
+          : ' is removed'));
+      }
+      return replacement ? [replacement] : [];
+    });
+    return changed ? result : undefined;
+  }
+
+  static _getIncompatibleLoaders() {
+    // extracted CSS is not loaded in tests, so it's injected by style-loader instead, or by the built-in loader
+    var styleLoader;
+    try {
+      styleLoader = require.resolve('style-loader', {paths: [process.cwd()]});
+    }
+    catch (e) {
+      styleLoader = null;
+    }
+    return {
+      'mini-css-extract-plugin': styleLoader || require.resolve('./loaders/style-loader'),
+      // extract-text-webpack-plugin loader is followed by its fallback loader (style-loader), so it's just removed
+      'extract-text-webpack-plugin': null
+    };
+  }
+
+  static _matchesName(name, pattern) {
+    return _.isRegExp(pattern) ? pattern.test(name || '') : name === pattern;
+  }
+
+  static _stringifyEntry(entry) {
+    if (_.isString(entry)) return entry;
+    var options = entry.options || entry.query;
+    if (!options) return entry.loader;
+    return entry.loader + '?' + (_.isString(options) ? options : JSON.stringify(options));
+  }
+}
+
+module.exports = WebpackConfig;
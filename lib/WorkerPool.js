@@ -0,0 +1,133 @@
+'use strict';
+
+var path = require('path');
+var cp = require('child_process');
+var _ = require('lodash');
+
+var pools = {};
+var nextPoolId = 0;
+
+/*
+ Pool of worker processes running module loader chains, so that heavy loaders (babel, sass, etc.) of different
+ modules run in parallel. Jobs are sent to the least busy worker, workers are started on demand (up to the pool size)
+ and don't keep the process alive when idle. Loaders running in a worker resolve requests and read files through the
+ main process, loader context features that need the compiler or the compilation are not available there.
+ */
+
+class WorkerPool {
+  constructor(size, loaderRunnerPath) {
+    this._size = Math.max(1, size);
+    this._loaderRunnerPath = loaderRunnerPath;
+    this._workers = [];
+    this._jobs = {};
+    this._nextJobId = 0;
+    this._id = nextPoolId++;
+    pools[this._id] = this;
+    process.once('exit', () => this.terminate());
+  }
+
+  static get(id) {
+    return pools[id];
+  }
+
+  getId() {
+    return this._id;
+  }
+
+  run(job, handlers, callback) {
+    var worker = this._getWorker();
+    var jobId = this._nextJobId++;
+    this._jobs[jobId] = {worker: worker, handlers: handlers, callback: callback};
+    worker.pending++;
+    this._updateRef(worker);
+    worker.process.send({type: 'job', id: jobId, job: job});
+  }
+
+  terminate() {
+    _.each(this._workers, worker => worker.process.kill());
+    this._workers = [];
+  }
+
+  _getWorker() {
+    var worker = _.minBy(this._workers, 'pending');
+    if (worker && (!worker.pending || this._workers.length >= this._size)) return worker;
+    return this._startWorker();
+  }
+
+  _startWorker() {
+    var child = cp.fork(path.join(__dirname, 'worker.js'), [this._loaderRunnerPath]);
+    var worker = {process: child, pending: 0};
+    child.on('message', message => this._onMessage(worker, message));
+    child.on('exit', code => this._onExit(worker, code));
+    this._workers.push(worker);
+    this._updateRef(worker);
+    return worker;
+  }
+
+  _onMessage(worker, message) {
+    var job = this._jobs[message.id];
+    if (!job) return;
+    if (message.type === 'request') {
+      job.handlers[message.handler].apply(null, message.args.concat([(err, result) => {
+        if (!worker.process.connected) return;
+        worker.process.send({
+          type: 'response',
+          requestId: message.requestId,
+          err: err ? WorkerPool.serializeError(err) : null,
+          result: result
+        });
+      }]));
+      return;
+    }
+    delete this._jobs[message.id];
+    worker.pending--;
+    this._updateRef(worker);
+    job.callback(message.err ? WorkerPool.toError(message.err) : null, message.result);
+  }
+
+  _onExit(worker, code) {
+    _.pull(this._workers, worker);
+    _.each(this._jobs, (job, jobId) => {
+      if (job.worker !== worker) return;
+      delete this._jobs[jobId];
+      job.callback(new Error('Module build worker process exited with code ' + code));
+    });
+  }
+
+  _updateRef(worker) {
+    // idle workers should not prevent the process from exiting
+    var child = worker.process;
+    if (worker.pending) {
+      child.ref();
+      child.channel && child.channel.ref && child.channel.ref();
+    } else {
+      child.unref();
+      child.channel && child.channel.unref && child.channel.unref();
+    }
+  }
+
+  // errors and file contents are sent between the processes as JSON
+
+  static serializeError(err) {
+    if (!(err instanceof Error)) return {message: String(err)};
+    return {message: err.message, stack: err.stack, code: err.code};
+  }
+
+  static toError(serialized) {
+    var err = new Error(serialized.message);
+    if (serialized.stack) err.stack = serialized.stack;
+    if (serialized.code) err.code = serialized.code;
+    return err;
+  }
+
+  static toContent(content) {
+    var isBuffer = Buffer.isBuffer(content);
+    return {data: isBuffer ? content.toString('base64') : String(content), base64: isBuffer};
+  }
+
+  static fromContent(content) {
+    return content.base64 ? Buffer.from(content.data, 'base64') : content.data;
+  }
+}
+
+module.exports = WorkerPool;
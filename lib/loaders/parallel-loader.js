@@ -0,0 +1,64 @@
+'use strict';
+
+var WorkerPool = require('../WorkerPool');
+
+// runs the rest of the loader chain in a worker process of the pool passed in the loader options
+module.exports = function (source, map) {
+  this.callback(null, source, map);
+};
+
+module.exports.pitch = function () {
+  var loaderContext = this;
+  var callback = loaderContext.async();
+  var pool = WorkerPool.get(loaderContext.query.pool);
+  var loaders = loaderContext.loaders.slice(loaderContext.loaderIndex + 1).map(l => (l.options && typeof l.options === 'object')
+    ? {loader: l.path, options: l.options, ident: l.ident}
+    : l.request);
+
+  loaderContext.fs.readFile(loaderContext.resourcePath, (err, content) => {
+    if (err) return callback(err);
+    pool.run({
+      resource: loaderContext.resource,
+      resourcePath: loaderContext.resourcePath,
+      content: WorkerPool.toContent(content),
+      loaders: loaders,
+      version: loaderContext.version,
+      sourceMap: loaderContext.sourceMap,
+      rootContext: loaderContext.rootContext,
+      mode: loaderContext.mode,
+      target: loaderContext.target,
+      minimize: loaderContext.minimize
+    }, {
+      resolve: (context, request, options, resolveCallback) => {
+        var resolve = (options && loaderContext.getResolve) ? loaderContext.getResolve(options) : loaderContext.resolve;
+        resolve.call(loaderContext, context, request, resolveCallback);
+      },
+      readFile: (filePath, readCallback) => {
+        loaderContext.fs.readFile(filePath, (readErr, fileContent) => {
+          readCallback(readErr, readErr ? null : WorkerPool.toContent(fileContent));
+        });
+      },
+      stat: (filePath, statCallback) => {
+        loaderContext.fs.stat(filePath, (statErr, stats) => {
+          statCallback(statErr, statErr ? null : {
+            isFile: stats.isFile(),
+            isDirectory: stats.isDirectory(),
+            size: stats.size,
+            mtime: +stats.mtime
+          });
+        });
+      }
+    }, (buildErr, result) => {
+      if (buildErr) return callback(buildErr);
+      result.fileDependencies.forEach(f => loaderContext.addDependency(f));
+      result.contextDependencies.forEach(d => loaderContext.addContextDependency(d));
+      if (loaderContext.addMissingDependency) {
+        result.missingDependencies.forEach(f => loaderContext.addMissingDependency(f));
+      }
+      if (!result.cacheable) loaderContext.cacheable(false);
+      result.warnings.forEach(w => loaderContext.emitWarning(WorkerPool.toError(w)));
+      result.errors.forEach(e => loaderContext.emitError(WorkerPool.toError(e)));
+      callback(null, result.base64 ? Buffer.from(result.source, 'base64') : result.source, result.map || undefined);
+    });
+  });
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+// injects CSS returned by the rest of the loader chain (css-loader) into the document, when style-loader is not
+// installed, exports class names of CSS modules; a style element per module, replaced when the module is executed
+// again
+module.exports = function () {
+  return 'module.exports = {};';
+};
+
+module.exports.pitch = function (remainingRequest) {
+  if (this.cacheable) this.cacheable();
+  return 'var content = require(' + JSON.stringify('!!' + remainingRequest) + ');'
+    + 'if (content && content.__esModule) content = content["default"];'
+    + 'if (typeof document === "object" && document.head) {'
+    + 'var previousStyle = document.querySelector && document.querySelector(\'style[data-wallaby-webpack-module="\' + module.id + \'"]\');'
+    + 'if (previousStyle) previousStyle.parentNode.removeChild(previousStyle);'
+    + 'var style = document.createElement("style");'
+    + 'style.setAttribute("data-wallaby-webpack-module", module.id);'
+    + 'style.textContent = String(content);'
+    + 'document.head.appendChild(style);'
+    + '}'
+    + 'module.exports = (content && content.locals) || {};';
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+var BuildStats = require('../BuildStats');
+
+// marks when the loader chain passes it, so that build stats can tell the time of the loaders around it; build stats
+// are only available in the main process, not in worker processes
+function mark(loaderContext, method) {
+  var options = JSON.parse(loaderContext.query.slice(1));
+  var buildStats = BuildStats.get(options.stats);
+  if (buildStats && loaderContext._module) buildStats[method](loaderContext._module, options.index);
+}
+
+module.exports = function () {
+  if (this.cacheable) this.cacheable();
+  mark(this, 'loaderFinished');
+  this.callback.apply(this, [null].concat(Array.prototype.slice.call(arguments)));
+};
+
+module.exports.pitch = function () {
+  if (this.cacheable) this.cacheable();
+  mark(this, 'loaderPitched');
+};
@@ -0,0 +1,11 @@
+'use strict';
+
+var timingLoader = require('./timing-loader');
+
+// timing loader passing the content to raw loaders as is
+module.exports = function () {
+  return timingLoader.apply(this, arguments);
+};
+
+module.exports.pitch = timingLoader.pitch;
+module.exports.raw = true;
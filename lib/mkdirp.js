@@ -0,0 +1,18 @@
+'use strict';
+
+var path = require('path');
+var fs = require('graceful-fs');
+
+// creates the directory along with missing parent directories, an existing directory is not an error
+function mkdirp(dir, callback) {
+  fs.mkdir(dir, err => {
+    if (!err || err.code === 'EEXIST') return callback();
+    if (err.code !== 'ENOENT') return callback(err);
+    mkdirp(path.dirname(dir), err => {
+      if (err) return callback(err);
+      fs.mkdir(dir, err => callback(err && err.code !== 'EEXIST' ? err : null));
+    });
+  });
+}
+
+module.exports = mkdirp;
@@ -0,0 +1,21 @@
+'use strict';
+
+/*
+ Aurelia webpack plugin gives modules ids that Aurelia loader requests them by (module `aurelia-id` meta),
+ so the modules are registered by the ids instead of the ones chosen by the postprocessor.
+ */
+
+class AureliaModuleIdPlugin {
+  constructor() {
+    this.name = 'AureliaModuleIdPlugin';
+  }
+
+  resolveModuleId(id, moduleInfo, context) {
+    var m = moduleInfo.module;
+    if (!context.isWebpack5 && m.meta && m.meta['aurelia-id']) return m.meta['aurelia-id'];
+    if (m.buildMeta && m.buildMeta['aurelia-id']) return m.buildMeta['aurelia-id'];
+    return id;
+  }
+}
+
+module.exports = AureliaModuleIdPlugin;
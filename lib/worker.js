@@ -0,0 +1,135 @@
+'use strict';
+
+// Module build worker process entry, runs loader chains sent by WorkerPool with webpack loader runner
+
+var fs = require('graceful-fs');
+var path = require('path');
+var crypto = require('crypto');
+var loaderUtils = require('loader-utils');
+var WorkerPool = require('./WorkerPool');
+var runLoaders = require(process.argv[2]).runLoaders;
+
+var requestCallbacks = {};
+var nextRequestId = 0;
+
+process.on('message', message => {
+  if (message.type === 'job') {
+    run(message.id, message.job);
+  } else if (message.type === 'response') {
+    var callback = requestCallbacks[message.requestId];
+    delete requestCallbacks[message.requestId];
+    if (callback) callback(message.err ? WorkerPool.toError(message.err) : null, message.result);
+  }
+});
+
+process.on('disconnect', () => process.exit(0));
+
+function run(id, job) {
+  var warnings = [];
+  var errors = [];
+  var content = WorkerPool.fromContent(job.content);
+
+  // requests handled by the main process for the job
+  var sendRequest = (handler, args, callback) => {
+    var requestId = nextRequestId++;
+    requestCallbacks[requestId] = callback;
+    process.send({type: 'request', id: id, requestId: requestId, handler: handler, args: args});
+  };
+  var resolve = (options, context, request, callback) => sendRequest('resolve', [context, request, options], callback);
+  var inputFileSystem = createInputFileSystem(sendRequest);
+
+  runLoaders({
+    resource: job.resource,
+    loaders: job.loaders,
+    context: {
+      version: job.version,
+      webpack: true,
+      sourceMap: job.sourceMap,
+      rootContext: job.rootContext,
+      mode: job.mode,
+      target: job.target,
+      minimize: job.minimize,
+      hot: false,
+      fs: inputFileSystem,
+      resolve: (context, request, callback) => resolve(null, context, request, callback),
+      getResolve: options => (context, request, callback) => {
+        if (callback) return resolve(options, context, request, callback);
+        return new Promise((res, rej) => resolve(options, context, request, (err, result) => err ? rej(err) : res(result)));
+      },
+      getOptions: getOptions,
+      getLogger: () => ({error: () => {}, warn: () => {}, info: () => {}, log: () => {}, debug: () => {}, trace: () => {}}),
+      emitWarning: warning => warnings.push(WorkerPool.serializeError(warning)),
+      emitError: error => errors.push(WorkerPool.serializeError(error)),
+      emitFile: () => {
+        throw new Error('Loaders emitting files are not supported in parallel module builds');
+      },
+      utils: {
+        absolutify: (context, request) => path.resolve(context, request),
+        contextify: (context, request) => path.relative(context, request),
+        createHash: type => crypto.createHash(type || 'md4')
+      }
+    },
+    // the resource is read by the main process, that knows about file changes not yet saved to disk
+    readResource: (resourcePath, callback) => {
+      if (resourcePath === job.resourcePath) return callback(null, Buffer.isBuffer(content) ? content : Buffer.from(content));
+      inputFileSystem.readFile(resourcePath, callback);
+    }
+  }, (err, result) => {
+    if (err) {
+      return process.send({type: 'done', id: id, err: WorkerPool.serializeError(err)});
+    }
+    var source = result.result && result.result[0];
+    var isBuffer = Buffer.isBuffer(source);
+    process.send({
+      type: 'done',
+      id: id,
+      result: {
+        source: isBuffer ? source.toString('base64') : source,
+        base64: isBuffer,
+        map: (result.result && result.result[1]) || null,
+        cacheable: result.cacheable,
+        fileDependencies: result.fileDependencies,
+        contextDependencies: result.contextDependencies,
+        missingDependencies: result.missingDependencies || [],
+        warnings: warnings,
+        errors: errors
+      }
+    });
+  });
+}
+
+function getOptions() {
+  return loaderUtils.getOptions(this) || {};
+}
+
+function createInputFileSystem(sendRequest) {
+  // files are read (and stat'ed) by the main process, that knows about tracked file changes not yet saved to disk and
+  // about virtual files, sync methods can only read from disk
+  return Object.assign(Object.create(fs), {
+    readFile: (filePath, options, callback) => {
+      callback = typeof options === 'function' ? options : callback;
+      var encoding = typeof options === 'string' ? options : (options && options.encoding);
+      sendRequest('readFile', [filePath], (err, content) => {
+        if (err) return callback(err);
+        content = WorkerPool.fromContent(content);
+        var buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+        callback(null, encoding ? buffer.toString(encoding) : buffer);
+      });
+    },
+    stat: (filePath, options, callback) => {
+      callback = typeof options === 'function' ? options : callback;
+      sendRequest('stat', [filePath], (err, stats) => {
+        if (err) return callback(err);
+        var mtime = new Date(stats.mtime);
+        callback(null, {
+          isFile: () => stats.isFile,
+          isDirectory: () => stats.isDirectory,
+          isSymbolicLink: () => false,
+          size: stats.size,
+          mtime: mtime,
+          mtimeMs: +mtime
+        });
+      });
+    }
+  });
+}
@@ -0,0 +1,71 @@
+'use strict';
+
+var assert = require('assert');
+var _ = require('lodash');
+var webpack5 = require('webpack5');
+var Project = require('./helpers/project');
+
+describe('async chunks', () => {
+  var project;
+  // uncaught errors and unhandled rejections are reported as test results
+  var setup = 'process.on("uncaughtException", function (e) { global.results.push("uncaught: " + e.message); });'
+    + 'process.on("unhandledRejection", function (e) { global.results.push("unhandled: " + e.message); });';
+  // module file of the lazily loaded module is not available
+  var removeLazyModuleFile = () => {
+    var file = _.find(_.keys(project.emitted), f => _.startsWith(f, 'src/lazy.js.'));
+    delete project.emitted[file];
+  };
+
+  afterEach(() => project.dispose());
+
+  describe('require.ensure', () => {
+    beforeEach(() => {
+      project = new Project({
+        'src/lazy.js': 'module.exports = "lazy";',
+        'src/a.spec.js': 'require.ensure([], function (require) { global.results.push(require("./lazy")); });'
+          + 'global.results.push("test");'
+      });
+      project.postprocessor();
+    });
+
+    it('loads chunk modules on demand', () => {
+      return project.run().then(() => {
+        assert.deepStrictEqual(project.load({setup: setup}), [['test', 'lazy']]);
+      });
+    });
+
+    it('throws chunk loading errors as uncaught errors', () => {
+      return project.run().then(() => {
+        removeLazyModuleFile();
+        var results = project.load({setup: setup});
+        assert.strictEqual(results[0].length, 2);
+        assert.strictEqual(results[0][0], 'test');
+        assert.match(results[0][1], /^uncaught: Cannot find module .*lazy\.js/);
+      });
+    });
+  });
+
+  describe('import()', () => {
+    beforeEach(() => {
+      project = new Project({
+        'src/lazy.js': 'export default "lazy";',
+        'src/a.spec.js': 'import("./lazy").then(function (m) { global.results.push(m.default); },'
+          + 'function (e) { global.results.push("failed: " + e.message); });'
+      });
+      project.postprocessor({webpack: webpack5});
+    });
+
+    it('loads chunk modules on demand', () => {
+      return project.run().then(() => {
+        assert.deepStrictEqual(project.load({setup: setup}), [['lazy']]);
+      });
+    });
+
+    it('rejects with chunk loading errors', () => {
+      return project.run().then(() => {
+        removeLazyModuleFile();
+        assert.match(project.load({setup: setup})[0][0], /^failed: Cannot find module .*lazy\.js/);
+      });
+    });
+  });
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+var assert = require('assert');
+var path = require('path');
+var vm = require('vm');
+var _ = require('lodash');
+var Project = require('./helpers/project');
+var styleLoader = require('../lib/loaders/style-loader');
+
+describe('browser target', () => {
+  var project;
+
+  beforeEach(() => {
+    project = new Project({
+      'src/a.spec.js': 'global.results.push("a");'
+    });
+  });
+
+  afterEach(() => project.dispose());
+
+  // evaluates the test loader in a page with a test module failing to load
+  var loadFailingTests = (loaderContent, registries) => {
+    var logged = [];
+    var started = 0;
+    var window = _.assign({
+      wallaby: {
+        delayStart: _.noop,
+        start: () => started++,
+        _startWhenReceiverIsReady: fn => fn()
+      }
+    }, registries);
+    var context = vm.createContext({
+      window: window,
+      document: {},
+      console: {error: e => logged.push(e.message)},
+      Promise: Promise
+    });
+    vm.runInContext(loaderContent, context);
+    if (!registries) {
+      window.__moduleBundler.hasAsyncModules = true;
+      window.__moduleBundler.loadLoadedTests = () => Promise.reject(new Error('test module failed to load'));
+    }
+    window.__moduleBundler.loadTests();
+    return new Promise(resolve => setTimeout(resolve, 10)).then(() => ({started: started, logged: logged}));
+  };
+
+  var withoutUnhandledRejections = test => {
+    var rejections = [];
+    var onRejection = reason => rejections.push(reason);
+    process.on('unhandledRejection', onRejection);
+    return test()
+      .then(result => new Promise(resolve => setTimeout(() => resolve(result), 10)))
+      .then(result => {
+        process.removeListener('unhandledRejection', onRejection);
+        assert.deepStrictEqual(rejections, []);
+        return result;
+      }, e => {
+        process.removeListener('unhandledRejection', onRejection);
+        throw e;
+      });
+  };
+
+  it('starts wallaby and logs the error when tests fail to load', () => {
+    project.postprocessor({target: 'web'});
+    return withoutUnhandledRejections(() => project.run()
+      .then(() => loadFailingTests(String(project.emitted['wallaby-webpack.js'].content))))
+      .then(result => {
+        assert.deepStrictEqual(result, {started: 1, logged: ['test module failed to load']});
+      });
+  });
+
+  it('starts wallaby and logs the error when tests of an entry group fail to load', () => {
+    project.postprocessor({target: 'web', entryGroups: [{name: 'app'}]});
+    return withoutUnhandledRejections(() => project.run()
+      .then(() => loadFailingTests(String(project.emitted['wallaby-webpack.js'].content), {
+        __moduleBundler_app: {
+          hasAsyncModules: true,
+          loadLoadedTests: () => Promise.reject(new Error('test module failed to load'))
+        }
+      })))
+      .then(result => {
+        assert.deepStrictEqual(result, {started: 1, logged: ['test module failed to load']});
+      });
+  });
+
+  it('replaces the style element of a CSS module when the module is executed again', () => {
+    var code = styleLoader.pitch.call({}, path.join(project.dir, 'css-loader.js') + '!' + path.join(project.dir, 'a.css'));
+    var styles = [];
+    var document = {
+      head: {appendChild: style => styles.push(style)},
+      createElement: () => {
+        var style = {
+          attributes: {},
+          setAttribute: (name, value) => {
+            style.attributes[name] = String(value);
+          },
+          parentNode: {removeChild: child => _.pull(styles, child)}
+        };
+        return style;
+      },
+      querySelector: selector => {
+        var id = /^style\[data-wallaby-webpack-module="(.*)"\]$/.exec(selector)[1];
+        return _.find(styles, style => style.attributes['data-wallaby-webpack-module'] === id) || null;
+      }
+    };
+    var execute = (id, css) => {
+      var module = {id: id, exports: {}};
+      vm.runInNewContext(code, {document: document, module: module, require: () => ({toString: () => css, locals: {a: 'a1'}})});
+      return module.exports;
+    };
+
+    assert.deepStrictEqual(execute(1, 'a {}'), {a: 'a1'});
+    execute(2, 'b {}');
+    execute(1, 'a { color: red }');
+    assert.deepStrictEqual(_.map(styles, style => [style.attributes['data-wallaby-webpack-module'], style.textContent]),
+      [['2', 'b {}'], ['1', 'a { color: red }']]);
+  });
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var _ = require('lodash');
+var Project = require('./helpers/project');
+
+describe('build stats', () => {
+  var project;
+  var slowLoader;
+  var fastLoader;
+  var statsFile;
+
+  beforeEach(() => {
+    project = new Project({
+      'src/a.js': 'module.exports = "a";',
+      'src/a.spec.js': 'global.results.push(require("./a"));',
+      'loaders/slow-loader.js': 'module.exports = function (source) {'
+        // the loader runner index is left to the loader runner
+        + 'var descriptor = Object.getOwnPropertyDescriptor(this, "loaderIndex");'
+        + 'if (descriptor && descriptor.get) this.emitError(new Error("loaderIndex is redefined"));'
+        + 'var startedAt = Date.now(); while (Date.now() - startedAt < 30) {}'
+        + 'return source;'
+        + '};',
+      'loaders/fast-loader.js': 'module.exports = function (source) { return source; }; module.exports.raw = true;'
+    });
+    slowLoader = path.join(project.dir, 'loaders/slow-loader.js');
+    fastLoader = path.join(project.dir, 'loaders/fast-loader.js');
+    // the directory is created along with the report
+    statsFile = path.join(project.outDir, 'reports/stats.json');
+  });
+
+  afterEach(() => project.dispose());
+
+  var readReport = () => new Promise((resolve, reject) => {
+    var attempts = 0;
+    var read = () => fs.readFile(statsFile, 'utf8', (err, content) => {
+      if (!err) return resolve(JSON.parse(content));
+      if (++attempts > 100) return reject(err);
+      setTimeout(read, 20);
+    });
+    read();
+  });
+
+  _.each({
+    webpack1: () => ({webpack: require('webpack'), module: {loaders: [{test: /a\.js$/, loaders: [fastLoader, slowLoader]}]}}),
+    webpack4: () => ({webpack: require('webpack4'), module: {rules: [{test: /a\.js$/, use: [fastLoader, slowLoader]}]}}),
+    webpack5: () => ({webpack: require('webpack5'), module: {rules: [{test: /a\.js$/, use: [fastLoader, slowLoader]}]}})
+  }, (config, name) => {
+    it('reports time spent by each loader with ' + name, () => {
+      project.postprocessor(_.assign(config(), {statsFile: statsFile}));
+      return project.run()
+        .then(() => {
+          assert.deepStrictEqual(project.errors(), []);
+          assert.deepStrictEqual(project.load(), [['a']]);
+          return readReport();
+        })
+        .then(report => {
+          var a = _.find(report.modules, m => /src[\\/]a\.js$/.test(m.identifier));
+          var spec = _.find(report.modules, m => /a\.spec\.js$/.test(m.identifier));
+          assert.deepStrictEqual(_.map(a.loaders, 'loader'), [fastLoader, slowLoader]);
+          assert.ok(a.loaders[1].time >= 30, 'slow loader time ' + a.loaders[1].time);
+          assert.ok(a.loaders[0].time < 30, 'fast loader time ' + a.loaders[0].time);
+          assert.ok(a.profile.loaders >= a.loaders[0].time + a.loaders[1].time);
+          assert.ok(a.profile.building >= a.profile.loaders);
+          assert.ok(a.built);
+          assert.deepStrictEqual(spec.loaders, []);
+          assert.deepStrictEqual(_.map(report.loaders, l => _.omit(l, 'time')),
+            [{loader: slowLoader, modules: 1}, {loader: fastLoader, modules: 1}]);
+          assert.ok(report.loaders[0].time >= 30);
+          assert.deepStrictEqual(report.rebuilds.length, 1);
+        });
+    });
+  });
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+var assert = require('assert');
+var _ = require('lodash');
+var Project = require('./helpers/project');
+
+describe('diagnostics', () => {
+  var project;
+
+  beforeEach(() => {
+    project = new Project({
+      'src/a.js': 'module.exports = require("./missing");',
+      'src/bad.js': 'module.exports = ;',
+      'src/c.js': 'module.exports = "c";',
+      'src/d.js': 'module.exports = require("./bad");',
+      'src/a.spec.js': 'global.results.push(require("./a"));',
+      'src/b.spec.js': 'global.results.push(require("./c"));'
+        + 'try { require("./d"); } catch (e) { global.results.push(e.code + " " + e.message); }'
+    });
+    project.postprocessor();
+  });
+
+  afterEach(() => project.dispose());
+
+  it('reports errors with their files, locations and tests', () => {
+    return project.run()
+      .then(result => {
+        var notFound = _.find(result.diagnostics, {file: 'src/a.js'});
+        assert.deepStrictEqual(_.pick(notFound, ['severity', 'line', 'column', 'tests']),
+          {severity: 'error', line: 1, column: 17, tests: ['id:src/a.spec.js']});
+        assert.match(notFound.message, /^Module not found/);
+        var parseFailed = _.find(result.diagnostics, {file: 'src/bad.js'});
+        assert.deepStrictEqual(_.pick(parseFailed, ['severity', 'line', 'column', 'tests']),
+          {severity: 'error', line: 1, column: 17, tests: ['id:src/b.spec.js']});
+        assert(_.includes(project.errors(), 'error src/a.js:1:17: ' + notFound.message));
+      });
+  });
+
+  it('throws compilation errors when modules that failed to compile are required', () => {
+    return project.run()
+      .then(() => {
+        var results = project.load({tests: ['src/b.spec.js.wbp.js']})[0];
+        assert.strictEqual(results[0], 'c');
+        assert.match(results[1], /^MODULE_BUILD_FAILED src\/bad\.js:1:17: Module parse failed/);
+        assert.match(project.load({tests: ['src/a.spec.js.wbp.js']})[0].error, /^src\/a\.js:1:17: Module not found/);
+      });
+  });
+
+  it('clears diagnostics of fixed files', () => {
+    return project.run()
+      .then(() => {
+        project.edit('src/bad.js', 'module.exports = "bad";');
+        return project.run();
+      })
+      .then(result => {
+        assert.deepStrictEqual(_.map(result.diagnostics, 'file'), ['src/a.js']);
+        assert.deepStrictEqual(project.load({tests: ['src/b.spec.js.wbp.js']}), [['c']]);
+      });
+  });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+var assert = require('assert');
+var path = require('path');
+var _ = require('lodash');
+var Project = require('./helpers/project');
+
+describe('entry groups', () => {
+  var project;
+
+  beforeEach(() => {
+    project = new Project({
+      'src/app/config.js': 'module.exports = "app";',
+      'src/lib/config.js': 'module.exports = "lib";',
+      'src/shared.js': 'module.exports = require("config") + require("./missing");',
+      'src/app/a.spec.js': 'try { require("../shared"); } catch (e) { global.results.push("app shared failed"); }'
+        + 'global.results.push(require("config"));',
+      'src/lib/b.spec.js': 'try { require("../shared"); } catch (e) { global.results.push("lib shared failed"); }'
+        + 'global.results.push(require("config"));'
+    });
+  });
+
+  afterEach(() => project.dispose());
+
+  var groups = () => [
+    {name: 'app', tests: path.join(project.dir, 'src/app'), resolve: {alias: {config: path.join(project.dir, 'src/app/config.js')}}},
+    {name: 'lib', tests: path.join(project.dir, 'src/lib/**/*.spec.js'), resolve: {alias: {config: path.join(project.dir, 'src/lib/config.js')}}}
+  ];
+
+  it('builds tests of each group with the group options', () => {
+    project.postprocessor({entryGroups: groups()});
+    return project.run().then(() => {
+      assert.deepStrictEqual(_.sortBy(project.testFiles()), ['src/app/a.spec.js.wbp.js', 'src/lib/b.spec.js.wbp.js']);
+      assert.deepStrictEqual(project.load(), [['app shared failed', 'app', 'lib shared failed', 'lib']]);
+    });
+  });
+
+  it('reports errors of files built by more than one group once, with the tests of all groups', () => {
+    project.postprocessor({entryGroups: groups()});
+    return project.run().then(result => {
+      var errors = _.filter(result.diagnostics, {file: 'src/shared.js'});
+      assert.strictEqual(errors.length, 1);
+      assert.match(errors[0].message, /^Module not found/);
+      assert.deepStrictEqual(_.sortBy(errors[0].tests), ['id:src/app/a.spec.js', 'id:src/lib/b.spec.js']);
+    });
+  });
+
+  it('creates shared plugins for each group when they are passed as a function', () => {
+    var compilers = {};
+    var createPlugin = name => ({
+      apply: compiler => {
+        compilers[name] = compilers[name] || [];
+        compilers[name].push(compiler);
+      }
+    });
+    var sharedPlugin = createPlugin('shared');
+    project.postprocessor({entryGroups: groups(), plugins: name => [createPlugin(name)]});
+    return project.run()
+      .then(() => {
+        assert.strictEqual(compilers.app.length, 1);
+        assert.strictEqual(compilers.lib.length, 1);
+        assert.notStrictEqual(compilers.app[0], compilers.lib[0]);
+
+        project.postprocessor({entryGroups: groups(), plugins: [sharedPlugin]});
+        return project.run();
+      })
+      .then(() => {
+        // plugin instances are shared by the group compilers
+        assert.strictEqual(compilers.shared.length, 2);
+      });
+  });
+});
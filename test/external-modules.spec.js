@@ -0,0 +1,68 @@
+'use strict';
+
+var assert = require('assert');
+var path = require('path');
+var _ = require('lodash');
+var Project = require('./helpers/project');
+
+describe('external modules', () => {
+  var project;
+
+  beforeEach(() => {
+    project = new Project({
+      'src/a.spec.js': 'global.results.push(require("jquery"), require("ext"));',
+      'test/jquery.js': 'module.exports = "jquery stand-in";'
+    });
+  });
+
+  afterEach(() => project.dispose());
+
+  var postprocessor = opts => project.postprocessor(_.assign({
+    moduleStandIns: {jquery: path.join(project.dir, 'test/jquery.js')}
+  }, opts));
+
+  it('are looked up on the global object, stand-ins are used instead of them', () => {
+    postprocessor({externals: {jquery: 'jQuery', ext: 'Ext'}});
+    return project.run().then(() => {
+      assert.deepStrictEqual(project.load({setup: 'global.jQuery = "jquery"; global.Ext = "ext";'}),
+        [['jquery stand-in', 'ext']]);
+      assert.match(project.load()[0].error, /^Cannot find module 'Ext' \(var webpack external is not available/);
+    });
+  });
+
+  _.each({
+    'with 3 parameters': (context, request, callback) => (_.includes(['jquery', 'ext'], request) ? callback(null, 'Ext') : callback()),
+    'with other parameters': function (context) {
+      var callback = arguments[2];
+      return _.includes(['jquery', 'ext'], arguments[1]) ? callback(null, 'Ext') : callback();
+    }
+  }, (externals, name) => {
+    it('are resolved by functions ' + name + ' with webpack 1', () => {
+      postprocessor({externals: externals});
+      return project.run().then(() => {
+        assert.deepStrictEqual(project.load({setup: 'global.Ext = "ext";'}), [['jquery stand-in', 'ext']]);
+      });
+    });
+  });
+
+  _.each({
+    'with a callback': (data, callback) => (_.includes(['jquery', 'ext'], data.request) ? callback(null, 'Ext') : callback()),
+    'returning a promise': data => Promise.resolve(_.includes(['jquery', 'ext'], data.request) ? 'Ext' : undefined),
+    'with 3 parameters': (context, request, callback) => (_.includes(['jquery', 'ext'], request) ? callback(null, 'Ext') : callback())
+  }, (externals, name) => {
+    it('are resolved by functions ' + name + ' with webpack 5', () => {
+      postprocessor({webpack: require('webpack5'), externals: [externals]});
+      return project.run().then(() => {
+        assert.deepStrictEqual(project.errors(), []);
+        assert.deepStrictEqual(project.load({setup: 'global.Ext = "ext";'}), [['jquery stand-in', 'ext']]);
+      });
+    });
+  });
+
+  it('are matched by regular expressions', () => {
+    postprocessor({webpack: require('webpack5'), externals: /^(jquery|ext)$/, externalsType: 'var'});
+    return project.run().then(() => {
+      assert.deepStrictEqual(project.load({setup: 'global.ext = "ext";'}), [['jquery stand-in', 'ext']]);
+    });
+  });
+});
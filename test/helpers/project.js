@@ -0,0 +1,155 @@
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var cp = require('child_process');
+var _ = require('lodash');
+var webpack = require('webpack');
+var wallabyWebpack = require('../..');
+
+/*
+ Test project for the postprocessor: project files written to a temporary directory, a fake of the wallaby
+ postprocessor API (tracked files, affected files, emitted files) and a node.js process to run the emitted files in,
+ the same way wallaby node.js runner does with `require(<project cache dir>/wallaby-webpack.js).loadTests()`.
+ */
+
+// wallaby promises have `fail` in addition to `then`
+function wallabyPromise(promise) {
+  var then = promise.then.bind(promise);
+  promise.then = (onResolve, onReject) => wallabyPromise(then(onResolve, onReject));
+  promise.fail = onReject => wallabyPromise(promise.catch(onReject));
+  return promise;
+}
+
+class Project {
+  constructor(files, opts) {
+    opts = opts || {};
+    this.dir = opts.dir || fs.mkdtempSync(path.join(os.tmpdir(), 'wallaby-webpack-'));
+    this.outDir = this.dir + '-out';
+    this.testPattern = opts.testPattern || /\.spec\.js$/;
+    this.contents = {};
+    this.emitted = {};
+    this.logs = [];
+    this._changed = [];
+    this._added = this._deleted = false;
+    _.each(files, (content, file) => this.write(file, content));
+  }
+
+  // creates the postprocessor with webpack 1 and node target by default
+  postprocessor(opts) {
+    this._postprocessor = wallabyWebpack(_.assign({webpack: webpack, target: 'node'}, opts));
+    return this._postprocessor;
+  }
+
+  write(file, content) {
+    var fullPath = path.join(this.dir, file);
+    fs.mkdirSync(path.dirname(fullPath), {recursive: true});
+    fs.writeFileSync(fullPath, content);
+    if (!this.contents.hasOwnProperty(file)) this._added = true;
+    this.contents[file] = content;
+    this._changed.push(file);
+  }
+
+  // changes a tracked file without saving it to disk, the same as editing it in the editor
+  edit(file, content) {
+    this.contents[file] = content;
+    this._changed.push(file);
+  }
+
+  remove(file) {
+    fs.unlinkSync(path.join(this.dir, file));
+    delete this.contents[file];
+    this._deleted = true;
+  }
+
+  file(file, order) {
+    return {
+      id: 'id:' + file,
+      path: file,
+      fullPath: path.join(this.dir, file),
+      test: this.testPattern.test(file),
+      order: order,
+      getContent: () => wallabyPromise(Promise.resolve(this.contents[file])),
+      getContentSync: () => this.contents[file]
+    };
+  }
+
+  wallaby() {
+    var allFiles = _.map(_.keys(this.contents).sort(), (file, index) => this.file(file, index));
+    var changed = this._changed;
+    var log = level => function () {
+      this.logs.push([level].concat(_.toArray(arguments)).join(' '));
+    }.bind(this);
+    var wallaby = {
+      logger: {debug: log('debug'), warn: log('warn'), error: log('error')},
+      allFiles: allFiles,
+      allTestFiles: _.filter(allFiles, 'test'),
+      affectedFiles: _.filter(allFiles, f => _.includes(changed, f.path)),
+      anyFilesAdded: this._added,
+      anyFilesDeleted: this._deleted,
+      localProjectDir: this.dir,
+      createFile: file => {
+        this.emitted[file.path] = file;
+        this.lastEmitted.push(file.path);
+        return Promise.resolve();
+      }
+    };
+    this.lastEmitted = [];
+    this._changed = [];
+    this._added = this._deleted = false;
+    return wallaby;
+  }
+
+  // runs the postprocessor for the changes since the previous run
+  run() {
+    this.logs = [];
+    return this._postprocessor(this.wallaby());
+  }
+
+  dispose() {
+    fs.rmSync(this.dir, {recursive: true, force: true});
+    fs.rmSync(this.outDir, {recursive: true, force: true});
+  }
+
+  errors() {
+    return _.filter(this.logs, l => _.startsWith(l, 'error'));
+  }
+
+  testFiles() {
+    return _.filter(_.keys(this.emitted), f => this.emitted[f].original && this.emitted[f].original.test);
+  }
+
+  // writes emitted files to the output directory, and loads tests in a new node.js process, `runs` times
+  // in the same process (a wallaby worker process is reused); returns `global.results` of each run, or the error;
+  // with `tests: null`, the loader falls back to `wallaby.loadedTests`; `global.beforeRun`, when defined by
+  // the `setup` script, is called with the loader before loading tests, the same as in wallaby setup
+  load(opts) {
+    opts = opts || {};
+    _.each(this.emitted, (file, filePath) => {
+      var fullPath = path.join(this.outDir, filePath);
+      fs.mkdirSync(path.dirname(fullPath), {recursive: true});
+      fs.writeFileSync(fullPath, file.content);
+    });
+    var loader = path.join(this.outDir, 'wallaby-webpack.js');
+    var script = 'var runs = [];'
+      + 'var load = function (i) {'
+      + 'if (i >= ' + (opts.runs || 1) + ') { process.stdout.write(JSON.stringify(runs)); return; }'
+      + 'global.results = [];'
+      + 'Promise.resolve().then(function () {'
+      + 'var bundler = require(' + JSON.stringify(loader) + ');'
+      + 'if (global.beforeRun) global.beforeRun(bundler);'
+      + 'return bundler.loadTests(' + JSON.stringify(_.has(opts, 'tests') ? opts.tests : this.testFiles()) + ');'
+      + '})'
+      // lazily loaded modules are loaded after the tests
+      + '.then(function () { return new Promise(function (resolve) { setTimeout(resolve, 10); }); })'
+      + '.then(function () { runs.push(global.results); }, function (e) { runs.push({error: e.message}); })'
+      + '.then(function () { load(i + 1); });'
+      + '};'
+      + 'load(0);';
+    return JSON.parse(cp.execFileSync(process.execPath, ['-e', (opts.setup || '') + script],
+      {cwd: this.outDir, timeout: 30000}).toString());
+  }
+}
+
+module.exports = Project;
@@ -0,0 +1,97 @@
+'use strict';
+
+var assert = require('assert');
+var vm = require('vm');
+var _ = require('lodash');
+var Project = require('./helpers/project');
+
+describe('hot mode', () => {
+  var project;
+  var hotUpdate = () => {
+    var content = String(project.emitted['wallaby-webpack-hot.js'].content);
+    return JSON.parse(content.slice(content.indexOf('hotUpdate = ') + 'hotUpdate = '.length, -1));
+  };
+
+  beforeEach(() => {
+    project = new Project({
+      'src/fixture.js': 'global.fixtureRuns = (global.fixtureRuns || 0) + 1; module.exports = "fixture";',
+      'src/a.js': 'module.exports = "a";',
+      'src/b.js': 'module.exports = "b";',
+      'src/c.js': 'module.exports = "c";',
+      'src/a.spec.js': 'global.results.push(require("./fixture"), require("./a"), global.fixtureRuns);',
+      'src/b.spec.js': 'global.results.push(require("./b"), require("./c"));'
+    });
+    project.postprocessor({hot: true});
+  });
+
+  afterEach(() => project.dispose());
+
+  it('keeps executed modules between test runs', () => {
+    return project.run().then(() => {
+      assert.deepStrictEqual(project.load({runs: 2}), [['fixture', 'a', 1, 'b', 'c'], ['fixture', 'a', 1, 'b', 'c']]);
+    });
+  });
+
+  it('only emits hot updates when modules change', () => {
+    return project.run()
+      .then(() => {
+        assert(_.includes(project.lastEmitted, 'wallaby-webpack-hot.js'));
+        project.edit('src/a.js', 'module.exports = "A";');
+        return project.run();
+      })
+      .then(() => {
+        assert(_.includes(project.lastEmitted, 'wallaby-webpack-hot.js'));
+        assert.deepStrictEqual(_.keys(hotUpdate().changedAt).length, 1);
+        return project.run();
+      })
+      .then(() => {
+        assert(!_.includes(project.lastEmitted, 'wallaby-webpack-hot.js'));
+      });
+  });
+
+  it('deletes entries of deleted modules from the registry of the reused test loader', () => {
+    var context = {};
+    var loadShards = () => {
+      _.each(project.lastEmitted, f => {
+        if (/^wallaby-webpack-data\.\d+\.js$/.test(f)) vm.runInNewContext(String(project.emitted[f].content), context);
+      });
+      // objects of another context have other prototypes
+      return JSON.parse(JSON.stringify(context.__moduleBundler));
+    };
+    return project.run()
+      .then(() => {
+        assert.deepStrictEqual(_.values(loadShards().files).sort(), [
+          'src/a.js.2.wbp.js', 'src/a.spec.js.wbp.js', 'src/b.js.3.wbp.js', 'src/b.spec.js.wbp.js', 'src/c.js.4.wbp.js',
+          'src/fixture.js.1.wbp.js'
+        ]);
+        project.remove('src/b.spec.js');
+        project.remove('src/b.js');
+        return project.run();
+      })
+      .then(() => {
+        var registry = loadShards();
+        assert.deepStrictEqual(_.values(registry.files).sort(), [
+          'src/a.js.2.wbp.js', 'src/a.spec.js.wbp.js', 'src/c.js.4.wbp.js', 'src/fixture.js.1.wbp.js'
+        ]);
+        assert.deepStrictEqual(_.keys(registry.deps).length, 4);
+        assert(!_.some(_.keys(registry.idByPath), p => /b(\.spec)?\.js$/.test(p)));
+        assert.deepStrictEqual(project.load(), [['fixture', 'a', 1]]);
+      });
+  });
+
+  it('drops changes before the reset when most modules have changed', () => {
+    var resetAt;
+    return project.run()
+      .then(() => {
+        resetAt = hotUpdate().resetAt;
+        _.each(['a', 'b', 'c', 'fixture'], name => project.edit('src/' + name + '.js', project.contents['src/' + name + '.js'] + '\n'));
+        return project.run();
+      })
+      .then(() => {
+        var update = hotUpdate();
+        assert(update.resetAt > resetAt);
+        assert.deepStrictEqual(update.changedAt, {});
+        assert.deepStrictEqual(project.load(), [['fixture', 'a', 1, 'b', 'c']]);
+      });
+  });
+});
@@ -0,0 +1,38 @@
+'use strict';
+
+var assert = require('assert');
+var path = require('path');
+var Project = require('./helpers/project');
+
+describe('isolated modules', () => {
+  var project;
+
+  beforeEach(() => {
+    project = new Project({
+      'src/store.js': 'global.storeCount = (global.storeCount || 0) + 1; module.exports = {items: []};',
+      'src/polyfill.js': 'global.polyfillCount = (global.polyfillCount || 0) + 1; module.exports = {};',
+      'src/a.spec.js': 'require("./polyfill"); var s = require("./store"); s.items.push("a");'
+        + 'global.results.push(s.items.join());',
+      'src/b.spec.js': 'require("./polyfill"); var s = require("./store"); s.items.push("b");'
+        + 'global.results.push(s.items.join(), global.storeCount, global.polyfillCount);'
+    });
+  });
+
+  afterEach(() => project.dispose());
+
+  it('are shared between test files by default', () => {
+    project.postprocessor();
+    return project.run()
+      .then(() => {
+        assert.deepStrictEqual(project.load(), [['a', 'a,b', 1, 1]]);
+      });
+  });
+
+  it('are executed for each test file, except for shared modules', () => {
+    project.postprocessor({isolateModules: true, sharedModules: [path.join(project.dir, 'src/polyfill.js')]});
+    return project.run()
+      .then(() => {
+        assert.deepStrictEqual(project.load(), [['a', 'b', 2, 1]]);
+      });
+  });
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+var assert = require('assert');
+var vm = require('vm');
+var _ = require('lodash');
+var Project = require('./helpers/project');
+var LoaderDataShards = require('../lib/LoaderDataShards');
+
+describe('loader data', () => {
+  var evaluate = (files, context) => {
+    context = context || {bundler: {}};
+    _.each(files, file => vm.runInNewContext(file.content, context));
+    // objects of another context have other prototypes
+    return JSON.parse(JSON.stringify(context.bundler.data));
+  };
+
+  it('only emits shards with changed entries', () => {
+    var shards = new LoaderDataShards('bundler.data', 'wallaby-webpack-data');
+    var deps = _.fromPairs(_.times(1500, i => ['m' + i, i]));
+    var files = shards.getChangedFiles({deps: deps});
+    assert.strictEqual(shards.getCount(), 2);
+    assert.deepStrictEqual(_.map(files, 'path'), ['wallaby-webpack-data.0.js', 'wallaby-webpack-data.1.js']);
+    var context = {bundler: {}};
+    assert.deepStrictEqual(evaluate(files, context), {deps: deps});
+
+    assert.deepStrictEqual(shards.getChangedFiles({deps: deps}), []);
+    var changedDeps = _.assign({}, deps, {m1500: 1500});
+    files = shards.getChangedFiles({deps: changedDeps});
+    assert.strictEqual(files.length, 1);
+    assert.deepStrictEqual(evaluate(files, context), {deps: changedDeps});
+  });
+
+  it('emits all shards again when the number of shards grows or after reset', () => {
+    var shards = new LoaderDataShards('bundler.data', 'wallaby-webpack-data');
+    shards.getChangedFiles({deps: {a: 1}});
+    assert.strictEqual(shards.getCount(), 1);
+    var deps = _.fromPairs(_.times(2500, i => ['m' + i, i]));
+    var files = shards.getChangedFiles({deps: deps, idByPath: {a: 1}});
+    assert.strictEqual(shards.getCount(), 4);
+    assert.strictEqual(files.length, 4);
+    assert.deepStrictEqual(evaluate(files), {deps: deps, idByPath: {a: 1}});
+
+    shards.reset();
+    assert.strictEqual(shards.getChangedFiles({deps: deps, idByPath: {a: 1}}).length, 4);
+  });
+
+  it('deletes entries removed from the maps from the registry of a reused test loader', () => {
+    var shards = new LoaderDataShards('bundler.data', 'wallaby-webpack-data');
+    var context = {bundler: {}};
+    evaluate(shards.getChangedFiles({deps: {a: 1, b: 2}, idByPath: {x: 1}}), context);
+    assert.deepStrictEqual(evaluate(shards.getChangedFiles({deps: {a: 1}, idByPath: {}}), context),
+      {deps: {a: 1}, idByPath: {}});
+
+    // entries moved to other shards are kept, whatever order the shards are loaded in
+    var deps = _.fromPairs(_.times(2500, i => ['m' + i, i]));
+    evaluate(shards.getChangedFiles({deps: _.assign({a: 1}, deps)}), context);
+    assert.deepStrictEqual(evaluate(_.reverse(shards.getChangedFiles({deps: deps})), context),
+      {deps: deps, idByPath: {}});
+  });
+
+  it('emits the loader runtime once', () => {
+    var project = new Project({
+      'src/a.js': 'module.exports = "a";',
+      'src/a.spec.js': 'global.results.push(require("./a"));'
+    });
+    project.postprocessor();
+    return project.run()
+      .then(() => {
+        assert.ok(_.includes(project.lastEmitted, 'wallaby-webpack.js'));
+        assert.deepStrictEqual(project.load(), [['a']]);
+        project.write('src/b.js', 'module.exports = "b";');
+        project.write('src/b.spec.js', 'global.results.push(require("./b"));');
+        return project.run();
+      })
+      .then(() => {
+        assert.ok(!_.includes(project.lastEmitted, 'wallaby-webpack.js'));
+        assert.ok(_.includes(project.lastEmitted, 'wallaby-webpack-data.0.js'));
+        assert.deepStrictEqual(project.load(), [['a', 'b']]);
+      })
+      .then(() => project.dispose(), e => {
+        project.dispose();
+        throw e;
+      });
+  });
+});
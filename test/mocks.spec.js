@@ -0,0 +1,46 @@
+'use strict';
+
+var assert = require('assert');
+var Project = require('./helpers/project');
+
+describe('module mocks', () => {
+  var project;
+
+  beforeEach(() => {
+    project = new Project({
+      'src/a.js': 'module.exports = require("./b") + require("./c");',
+      'src/b.js': 'module.exports = "b";',
+      'src/c.js': 'module.exports = "c";'
+    });
+  });
+
+  afterEach(() => project.dispose());
+
+  it('mocks modules by ids, and by paths relative to the project directory', () => {
+    project.write('src/a.spec.js', '__moduleBundler.mock("src/b.js", function () { return "B"; });'
+      + '__moduleBundler.mock("src/c", "C");'
+      + 'global.results.push(require("./a"));');
+    project.write('src/b.spec.js', '__moduleBundler.mock("./src/c/", "C");'
+      + '__moduleBundler.mock(__moduleBundler.resolveId(require("path").join(__moduleBundler.projectDir, "src/b")), "B");'
+      + 'global.results.push(require("./a"));');
+    project.write('src/c.spec.js', 'global.results.push(require("./a"));');
+    project.postprocessor();
+    return project.run()
+      .then(() => {
+        assert.deepStrictEqual(project.load(), [['BC', 'BC', 'bc']]);
+      });
+  });
+
+  [false, true].forEach(hot => {
+    it('keeps mocks registered before loading tests, and drops the ones registered after' + (hot ? ' (hot)' : ''), () => {
+      project.write('src/a.spec.js', 'global.results.push(require("./a"));'
+        + 'setTimeout(function () { __moduleBundler.mock("src/c", "C"); global.results.push(require("./c")); });');
+      project.postprocessor({hot: hot});
+      var setup = 'global.beforeRun = function (bundler) { bundler.mock("src/b", "B"); };';
+      return project.run()
+        .then(() => {
+          assert.deepStrictEqual(project.load({setup: setup, runs: 2}), [['Bc', 'C'], ['Bc', 'C']]);
+        });
+    });
+  });
+});
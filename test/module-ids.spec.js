@@ -0,0 +1,76 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var _ = require('lodash');
+var Project = require('./helpers/project');
+
+describe('module ids', () => {
+  var project;
+
+  beforeEach(() => {
+    project = new Project({
+      'src/a.js': 'module.exports = require("pkg") + require("./b");',
+      'src/b.js': 'module.exports = "b";',
+      'src/a.spec.js': 'global.results.push(require("./a"));'
+    });
+    fs.mkdirSync(path.join(project.dir, 'node_modules/pkg'), {recursive: true});
+    fs.writeFileSync(path.join(project.dir, 'node_modules/pkg/index.js'), 'module.exports = "pkg";');
+  });
+
+  afterEach(() => project.dispose());
+
+  var moduleFiles = () => _.sortBy(_.filter(_.keys(project.emitted), f => !_.startsWith(f, 'wallaby-webpack')));
+
+  _.each({webpack1: 'webpack', webpack5: 'webpack5'}, (webpackModule, name) => {
+    describe(name, () => {
+      var postprocessor = opts => project.postprocessor(_.assign({webpack: require(webpackModule), context: project.dir}, opts));
+
+      it('names module files by module paths with named ids', () => {
+        postprocessor({moduleIds: 'named'});
+        return project.run()
+          .then(() => {
+            assert.deepStrictEqual(project.load(), [['pkgb']]);
+            assert.deepStrictEqual(moduleFiles(), [
+              '__modules/node_modules/pkg/index.js',
+              'src/a.js.wbp.js',
+              'src/a.spec.js.wbp.js',
+              'src/b.js.wbp.js'
+            ]);
+            project.write('src/c.js', 'module.exports = "c";');
+            project.write('src/a.js', 'module.exports = require("./c") + require("pkg") + require("./b");');
+            return project.run();
+          })
+          .then(() => {
+            // existing modules keep their ids when a module is added
+            assert.deepStrictEqual(_.sortBy(_.filter(project.lastEmitted, f => !_.startsWith(f, 'wallaby-webpack'))),
+              ['src/a.js.wbp.js', 'src/c.js.wbp.js']);
+            assert.deepStrictEqual(project.load(), [['cpkgb']]);
+          });
+      });
+
+      it('keeps hashed ids when the postprocessor is re-created', () => {
+        var firstFiles;
+        postprocessor({moduleIds: 'hashed'});
+        return project.run()
+          .then(() => {
+            assert.deepStrictEqual(project.load(), [['pkgb']]);
+            firstFiles = moduleFiles();
+            assert.ok(_.includes(firstFiles, 'src/a.spec.js.wbp.js'));
+            assert.ok(_.every(firstFiles, f => /^(__modules\/[0-9a-f]{8}\.js|src\/\w+\.js\.[0-9a-f]{8}\.wbp\.js|src\/a\.spec\.js\.wbp\.js)$/.test(f)));
+            project.emitted = {};
+            project.write('src/c.js', 'module.exports = "c";');
+            project.write('src/a.js', 'module.exports = require("./c") + require("pkg") + require("./b");');
+            postprocessor({moduleIds: 'hashed'});
+            return project.run();
+          })
+          .then(() => {
+            assert.deepStrictEqual(project.load(), [['cpkgb']]);
+            assert.deepStrictEqual(_.difference(firstFiles, moduleFiles()), []);
+            assert.strictEqual(_.difference(moduleFiles(), firstFiles).length, 1);
+          });
+      });
+    });
+  });
+});
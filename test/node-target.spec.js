@@ -0,0 +1,55 @@
+'use strict';
+
+var assert = require('assert');
+var _ = require('lodash');
+var Project = require('./helpers/project');
+
+describe('node target', () => {
+  var project;
+
+  beforeEach(() => {
+    project = new Project({
+      'src/setup.js': 'global.setupRuns = (global.setupRuns || 0) + 1;',
+      'src/a.js': 'var os = require("os"); module.exports = "a" + typeof os.cpus;',
+      'src/a.spec.js': 'global.results.push(require("./a"), global.setupRuns);'
+    });
+  });
+
+  afterEach(() => project.dispose());
+
+  it('registers modules in a global registry', () => {
+    project.postprocessor();
+    return project.run().then(() => {
+      var loader = String(project.emitted['wallaby-webpack.js'].content);
+      assert(_.includes(loader, '(typeof globalThis === "object" ? globalThis : global).__moduleBundler'));
+      assert(!_.includes(loader, 'window.'));
+      assert(_.startsWith(String(project.emitted['src/a.spec.js.wbp.js'].content),
+        '(typeof globalThis === "object" ? globalThis : global).__moduleBundler.cache['));
+    });
+  });
+
+  it('loads tests in a reused worker process', () => {
+    project.postprocessor();
+    return project.run().then(() => {
+      assert.deepStrictEqual(project.load({runs: 2}), [['afunction', null], ['afunction', null]]);
+    });
+  });
+
+  it('loads wallaby.loadedTests when tests are not passed', () => {
+    project.postprocessor();
+    return project.run().then(() => {
+      var results = project.load({
+        setup: 'global.wallaby = {loadedTests: ["src/a.spec.js.wbp.js"]};',
+        tests: null
+      });
+      assert.deepStrictEqual(results, [['afunction', null]]);
+    });
+  });
+
+  it('executes entry files before tests', () => {
+    project.postprocessor({entryPatterns: ['src/setup.js', 'src/*.spec.js']});
+    return project.run().then(() => {
+      assert.deepStrictEqual(project.load({runs: 2}), [['afunction', 1], ['afunction', 2]]);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+var assert = require('assert');
+var path = require('path');
+var _ = require('lodash');
+var Project = require('./helpers/project');
+
+describe('parallel module builds', () => {
+  _.each({webpack4: 'webpack4', webpack5: 'webpack5'}, (webpackModule, name) => {
+    describe(name, () => {
+      var project, compilation;
+
+      beforeEach(() => {
+        project = new Project({
+          'loaders/read-loader.js': 'var path = require("path");'
+            + 'module.exports = function (source) {'
+            + 'var callback = this.async(), fs = this.fs;'
+            // webpack 4 loaders get options from the query
+            + 'var tag = this.getOptions ? this.getOptions().tag : require("querystring").parse(this.query.slice(1)).tag;'
+            + 'var dataPath = path.join(path.dirname(this.resourcePath), "data.txt");'
+            + 'this.addDependency(dataPath);'
+            + 'if (/__ERROR__/.test(source)) this.emitError(new Error("read loader error"));'
+            + 'fs.readFile(dataPath, "utf8", function (err, data) {'
+            + 'if (err) return callback(err);'
+            + 'fs.stat(dataPath, function (statErr, stats) {'
+            + 'callback(statErr, source.replace("__DATA__", JSON.stringify([data, stats && stats.isFile(), tag, process.pid])));'
+            + '});'
+            + '});'
+            + '};',
+          'src/data.txt': 'saved',
+          'src/a.spec.js': 'global.results.push(__DATA__);'
+        });
+        compilation = null;
+        project.postprocessor({
+          webpack: require(webpackModule),
+          parallel: 1,
+          parallelLoaders: ['read'],
+          module: {rules: [{test: /\.spec\.js$/, use: [path.join(project.dir, 'loaders/read-loader.js') + '?tag=T']}]},
+          plugins: [{apply: compiler => compiler.hooks.thisCompilation.tap('test', c => { compilation = c; })}]
+        });
+      });
+
+      afterEach(() => project.dispose());
+
+      it('runs loaders in worker processes, reading files through the main process', () => {
+        return project.run()
+          .then(() => {
+            assert.deepStrictEqual(project.errors(), []);
+            var data = project.load()[0][0];
+            assert.deepStrictEqual(data.slice(0, 3), ['saved', true, 'T']);
+            assert.notStrictEqual(data[3], process.pid);
+            project.edit('src/data.txt', 'not saved');
+            return project.run();
+          })
+          .then(() => {
+            assert.deepStrictEqual(project.load()[0][0].slice(0, 3), ['not saved', true, 'T']);
+          });
+      });
+
+      it('reports errors emitted by loaders with their stack', () => {
+        project.write('src/b.spec.js', '__ERROR__; global.results.push(__DATA__);');
+        return project.run()
+          .then(() => {
+            var error = _.find(compilation.errors, e => /read loader error/.test(e.message));
+            assert(error);
+            assert.match(error.error.stack, /read-loader\.js/);
+          });
+      });
+    });
+  });
+});
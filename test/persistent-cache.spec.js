@@ -0,0 +1,161 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var _ = require('lodash');
+var Project = require('./helpers/project');
+var PersistentCache = require('../lib/PersistentCache');
+
+describe('persistent cache', () => {
+  var projects = [];
+  var createProject = (files, opts) => {
+    var project = new Project(files, opts);
+    projects.push(project);
+    return project;
+  };
+  var wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  afterEach(() => {
+    _.each(projects, p => p.dispose());
+    projects = [];
+  });
+
+  it('hashes configs by contents, including objects used by more than one option', () => {
+    var shared = {test: /\.js$/, loader: 'babel'};
+    var circular = {name: 'a'};
+    circular.self = circular;
+
+    assert.strictEqual(PersistentCache.hashConfig({a: shared, b: shared}),
+      PersistentCache.hashConfig({a: {test: /\.js$/, loader: 'babel'}, b: {test: /\.js$/, loader: 'babel'}}));
+    assert.notStrictEqual(PersistentCache.hashConfig({a: shared, b: shared}),
+      PersistentCache.hashConfig({a: shared, b: {test: /\.js$/, loader: 'ts'}}));
+    assert.strictEqual(PersistentCache.hashConfig({c: circular}), PersistentCache.hashConfig({c: circular}));
+  });
+
+  it('removes the temp file when a record can not be written', () => {
+    var project = createProject({});
+    var cache = new PersistentCache(project.dir, 'config');
+    var filePath = cache._getPath('key');
+    fs.mkdirSync(filePath, {recursive: true});
+    fs.writeFileSync(path.join(filePath, 'file'), '');
+
+    cache.write('key', {source: 'source'});
+
+    return wait(300).then(() => {
+      assert.deepStrictEqual(_.filter(fs.readdirSync(path.dirname(filePath)), f => _.endsWith(f, '.tmp')), []);
+    });
+  });
+
+  _.each({webpack1: 'webpack', webpack4: 'webpack4', webpack5: 'webpack5'}, (webpackModule, name) => {
+    describe(name, () => {
+      var webpack = require(webpackModule);
+
+      it('restores module ids and test dependencies after a restart', () => {
+        var files = {
+          'src/lib/x.js': 'module.exports = "x";',
+          'src/lib/y.js': 'module.exports = "y";',
+          'src/helper.js': 'module.exports = require("./lib/x");',
+          'src/b.spec.js': 'global.results.push(require("./helper"));'
+        };
+        var first = createProject(files);
+        var cacheDirectory = first.dir + '-cache';
+        var firstResult;
+        first.postprocessor({webpack: webpack, cacheDirectory: cacheDirectory});
+
+        return first.run()
+          .then(result => {
+            firstResult = result;
+            return wait(300);
+          })
+          .then(() => {
+            // a new test file built before the other one would change webpack ids of modules built after it
+            var second = createProject(_.assign({'src/a.spec.js': 'global.results.push(require("./lib/y"));'}, files),
+              {dir: first.dir});
+            second.postprocessor({webpack: webpack, cacheDirectory: cacheDirectory});
+            return second.run().then(result => {
+              var moduleFile = emitted => _.find(_.keys(emitted), f => _.startsWith(f, 'src/lib/x.js.'));
+              assert.ok(_.includes(second.logs, 'debug Build state restored from the persistent cache'));
+              assert.strictEqual(moduleFile(second.emitted), moduleFile(first.emitted));
+              assert.deepStrictEqual(result.testDependencies['id:src/b.spec.js'],
+                firstResult.testDependencies['id:src/b.spec.js']);
+              // test files are emitted in the order their cache reads complete
+              assert.deepStrictEqual(second.load()[0].sort(), ['x', 'y']);
+              fs.rmSync(cacheDirectory, {recursive: true, force: true});
+            });
+          });
+      });
+
+      if (webpackModule === 'webpack5') return;
+
+      it('restores unchanged module builds after a restart instead of running loaders', () => {
+        var files = {
+          'loaders/count-loader.js': 'module.exports = function (source) {\n'
+            + '  require("fs").appendFileSync(require("path").join(__dirname, "calls.log"), this.resourcePath + "\\n");\n'
+            + '  this.cacheable && this.cacheable();\n'
+            + '  return source;\n'
+            + '};',
+          'src/x.js': 'module.exports = "x";',
+          'src/y.js': 'module.exports = "y";',
+          'src/a.spec.js': 'global.results.push(require("./x"), require("./y"));'
+        };
+        var first = createProject(files);
+        var cacheDirectory = first.dir + '-cache';
+        var callsPath = path.join(first.dir, 'loaders/calls.log');
+        var rule = {test: /src.*\.js$/, loader: path.join(first.dir, 'loaders/count-loader.js')};
+        var opts = {
+          webpack: webpack,
+          cacheDirectory: cacheDirectory,
+          module: webpackModule === 'webpack' ? {loaders: [rule]} : {rules: [rule]}
+        };
+        first.postprocessor(opts);
+
+        return first.run()
+          .then(() => wait(300))
+          .then(() => {
+            assert.strictEqual(fs.readFileSync(callsPath, 'utf8').split('\n').length - 1, 3);
+            fs.unlinkSync(callsPath);
+            var second = createProject(_.assign({}, files, {'src/y.js': 'module.exports = "y2";'}), {dir: first.dir});
+            second.postprocessor(opts);
+            return second.run().then(() => {
+              assert.deepStrictEqual(fs.readFileSync(callsPath, 'utf8').split('\n'), [path.join(first.dir, 'src/y.js'), '']);
+              assert.deepStrictEqual(second.errors(), []);
+              assert.deepStrictEqual(second.load(), [['x', 'y2']]);
+              fs.rmSync(cacheDirectory, {recursive: true, force: true});
+            });
+          });
+      });
+    });
+  });
+
+  it('keys the cache by versions of packaged loaders', () => {
+    var files = {
+      'node_modules/count-loader/package.json': JSON.stringify({name: 'count-loader', version: '1.0.0'}),
+      'node_modules/count-loader/index.js': 'module.exports = function (source) { return source; };',
+      'src/x.js': 'module.exports = "x";',
+      'src/a.spec.js': 'global.results.push(require("./x"));'
+    };
+    var first = createProject(files);
+    var cacheDirectory = first.dir + '-cache';
+    var opts = {cacheDirectory: cacheDirectory, context: first.dir, module: {loaders: [{test: /\.js$/, loader: 'count'}]}};
+    first.postprocessor(opts);
+
+    return first.run()
+      .then(() => wait(300))
+      .then(() => {
+        var configDirs = fs.readdirSync(cacheDirectory);
+        assert.strictEqual(configDirs.length, 1);
+        var second = createProject(_.assign({}, files, {
+          'node_modules/count-loader/package.json': JSON.stringify({name: 'count-loader', version: '1.0.1'})
+        }), {dir: first.dir});
+        second.postprocessor(opts);
+        return second.run()
+          .then(() => wait(300))
+          .then(() => {
+            assert.deepStrictEqual(second.errors(), []);
+            assert.strictEqual(fs.readdirSync(cacheDirectory).length, 2);
+            fs.rmSync(cacheDirectory, {recursive: true, force: true});
+          });
+      });
+  });
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+var assert = require('assert');
+var _ = require('lodash');
+var Project = require('./helpers/project');
+var AureliaModuleIdPlugin = require('../lib/plugins/AureliaModuleIdPlugin');
+
+describe('postprocessor plugins', () => {
+  var project;
+
+  beforeEach(() => {
+    project = new Project({
+      'src/a.js': 'module.exports = "a";',
+      'src/a.spec.js': 'global.results.push(require("./a"));'
+    });
+  });
+
+  afterEach(() => project.dispose());
+
+  it('take part in module ids, emitted modules and the test loader', () => {
+    var calls = [];
+    project.postprocessor({
+      postprocessorPlugins: [{
+        resolveModuleId: (id, moduleInfo) => (moduleInfo.file && !moduleInfo.isTestFile ? 'custom:' + moduleInfo.file.path : undefined),
+        transformEmittedModule: emittedModule => _.assign({}, emittedModule, {
+          content: '/* ' + emittedModule.id + ' */' + emittedModule.content
+        }),
+        beforeEmitLoader: (loader, context) => ({
+          path: loader.path,
+          content: loader.content + ';global.results.push(' + context.registry + ' === global.__moduleBundler);'
+        }),
+        afterCompile: (compilation, context) => {
+          calls.push(_.map(compilation.modules, m => m.resource));
+          return context.createFile({path: 'extra.js', content: 'extra'});
+        }
+      }, {
+        transformEmittedModule: emittedModule => {
+          // gets the result of the previous plugin
+          assert.ok(_.startsWith(emittedModule.content, '/* '));
+        }
+      }]
+    });
+    return project.run().then(() => {
+      assert.deepStrictEqual(project.load(), [[true, 'a']]);
+      assert.ok(_.startsWith(project.emitted['src/a.js.1.wbp.js'].content, '/* custom:src/a.js */'));
+      assert.strictEqual(project.emitted['extra.js'].content, 'extra');
+      assert.deepStrictEqual(_.sortBy(calls[0]), [project.file('src/a.js').fullPath, project.file('src/a.spec.js').fullPath]);
+    });
+  });
+
+  it('must implement at least one hook', () => {
+    assert.throws(() => project.postprocessor({postprocessorPlugins: [{name: 'Empty'}]}),
+      /Postprocessor plugin Empty does not implement any of the hooks/);
+  });
+
+  it('register modules by their aurelia ids', () => {
+    var plugin = new AureliaModuleIdPlugin();
+    assert.strictEqual(plugin.resolveModuleId(1, {module: {meta: {'aurelia-id': 'app'}}}, {isWebpack5: false}), 'app');
+    assert.strictEqual(plugin.resolveModuleId(1, {module: {buildMeta: {'aurelia-id': 'app'}}}, {isWebpack5: true}), 'app');
+    assert.strictEqual(plugin.resolveModuleId(1, {module: {meta: {'aurelia-id': 'app'}}}, {isWebpack5: true}), 1);
+  });
+});
@@ -0,0 +1,49 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var _ = require('lodash');
+var Project = require('./helpers/project');
+
+describe('source maps', () => {
+  var project;
+
+  beforeEach(() => {
+    project = new Project({
+      'src/a.js': 'module.exports = require("pkg");',
+      'src/a.spec.js': 'global.results.push(require("./a"));'
+    });
+    fs.mkdirSync(path.join(project.dir, 'node_modules/pkg'), {recursive: true});
+    fs.writeFileSync(path.join(project.dir, 'node_modules/pkg/index.js'), 'module.exports = "pkg";');
+  });
+
+  afterEach(() => project.dispose());
+
+  var trackedModule = () => _.find(project.emitted, (file, filePath) => _.startsWith(filePath, 'src/a.js.'));
+  var untrackedModules = () => _.filter(project.emitted, (file, filePath) => _.startsWith(filePath, '__modules/'));
+
+  _.each({webpack1: 'webpack', webpack5: 'webpack5'}, (webpackModule, name) => {
+    describe(name, () => {
+      it('are only emitted for modules of tracked files by default', () => {
+        project.postprocessor({webpack: require(webpackModule)});
+        return project.run().then(() => {
+          assert.deepStrictEqual(project.load(), [['pkg']]);
+          assert.ok(trackedModule().sourceMap);
+          assert.strictEqual(untrackedModules().length, 1);
+          assert.strictEqual(untrackedModules()[0].sourceMap, null);
+        });
+      });
+
+      it('are emitted for modules of untracked files with untrackedSourceMaps option', () => {
+        project.postprocessor({webpack: require(webpackModule), untrackedSourceMaps: true});
+        return project.run().then(() => {
+          assert.deepStrictEqual(project.load(), [['pkg']]);
+          assert.ok(trackedModule().sourceMap);
+          assert.strictEqual(untrackedModules().length, 1);
+          assert.ok(untrackedModules()[0].sourceMap);
+        });
+      });
+    });
+  });
+});
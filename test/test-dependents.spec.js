@@ -0,0 +1,57 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var _ = require('lodash');
+var Project = require('./helpers/project');
+
+describe('test dependents', () => {
+  _.each({webpack1: 'webpack', webpack4: 'webpack4', webpack5: 'webpack5'}, (webpackModule, name) => {
+    describe(name, () => {
+      var project;
+
+      beforeEach(() => {
+        project = new Project({
+          'src/a.js': 'module.exports = require("./c") + "a";',
+          'src/b.js': 'module.exports = require("./c") + "b";',
+          'src/c.js': 'module.exports = "c";',
+          'src/a.spec.js': 'global.results.push(require("./a") + require("lib"));',
+          'src/b.spec.js': 'global.results.push(require("./b"));'
+        });
+        // untracked module
+        fs.mkdirSync(path.join(project.dir, 'node_modules/lib'), {recursive: true});
+        fs.writeFileSync(path.join(project.dir, 'node_modules/lib/index.js'), 'module.exports = "l";');
+        project.postprocessor({webpack: require(webpackModule)});
+      });
+
+      afterEach(() => project.dispose());
+
+      var dependents = result => _.mapKeys(result.testDependents, (tests, file) => path.relative(project.dir, file));
+
+      it('maps modules to the tests depending on them', () => {
+        return project.run()
+          .then(result => {
+            assert.deepStrictEqual(dependents(result)['src/c.js'], ['id:src/a.spec.js', 'id:src/b.spec.js']);
+            assert.deepStrictEqual(dependents(result)['src/a.js'], ['id:src/a.spec.js']);
+            assert.deepStrictEqual(dependents(result)['node_modules/lib/index.js'], ['id:src/a.spec.js']);
+            assert.deepStrictEqual(dependents(result)['src/b.spec.js'], ['id:src/b.spec.js']);
+            assert(!_.includes(result.testDependencies['id:src/a.spec.js'], 'id:node_modules/lib/index.js'));
+          });
+      });
+
+      it('drops tests from modules they no longer depend on', () => {
+        return project.run()
+          .then(() => {
+            project.edit('src/a.js', 'module.exports = "a";');
+            return project.run();
+          })
+          .then(result => {
+            assert.deepStrictEqual(dependents(result)['src/c.js'], ['id:src/b.spec.js']);
+            assert.deepStrictEqual(dependents(result)['src/a.js'], ['id:src/a.spec.js']);
+            assert.deepStrictEqual(project.load(), [['al', 'cb']]);
+          });
+      });
+    });
+  });
+});
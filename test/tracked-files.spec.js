@@ -0,0 +1,108 @@
+'use strict';
+
+var assert = require('assert');
+var _ = require('lodash');
+var Project = require('./helpers/project');
+
+describe('added and deleted files', () => {
+  _.each({webpack1: 'webpack', webpack4: 'webpack4', webpack5: 'webpack5'}, (webpackModule, name) => {
+    describe(name, () => {
+      var project;
+
+      beforeEach(() => {
+        project = new Project({
+          'src/a.js': 'module.exports = "a";',
+          'src/b.js': 'module.exports = "b";',
+          'src/a.spec.js': 'global.results.push(require("./a"));'
+        });
+        project.postprocessor({webpack: require(webpackModule)});
+      });
+
+      afterEach(() => project.dispose());
+
+      it('adds entries of new test files to the existing compiler', () => {
+        return project.run()
+          .then(() => {
+            project.write('src/b.spec.js', 'global.results.push(require("./b"));');
+            return project.run();
+          })
+          .then(result => {
+            assert(!_.includes(project.logs, 'debug New compiler created'));
+            assert(_.includes(project.lastEmitted, 'src/b.spec.js.wbp.js'));
+            assert(!_.includes(project.lastEmitted, 'src/a.spec.js.wbp.js'));
+            assert.deepStrictEqual(_.keys(result.testDependencies).sort(), ['id:src/a.spec.js', 'id:src/b.spec.js']);
+            assert.deepStrictEqual(project.load(), [['a', 'b']]);
+          });
+      });
+
+      it('drops entries and modules of deleted files', () => {
+        project.write('src/b.spec.js', 'global.results.push(require("./b"));');
+        return project.run()
+          .then(() => {
+            project.remove('src/b.spec.js');
+            return project.run();
+          })
+          .then(result => {
+            assert.deepStrictEqual(project.errors(), []);
+            assert.deepStrictEqual(_.keys(result.testDependencies), ['id:src/a.spec.js']);
+            assert.deepStrictEqual(project.load({tests: ['src/a.spec.js.wbp.js']}), [['a']]);
+          });
+      });
+
+      it('fails tests importing deleted files', () => {
+        return project.run()
+          .then(() => {
+            project.remove('src/a.js');
+            return project.run();
+          })
+          .then(result => {
+            assert(_.some(result.diagnostics, d => d.severity === 'error' && _.includes(d.tests, 'id:src/a.spec.js')));
+            // the file is not found by the resolver (webpack 5), or when the module is built
+            assert.match(project.load()[0].error, /src\/a\.js|'\.\/a'/);
+          });
+      });
+
+      it('rebuilds modules importing missing files when the files are added', () => {
+        project.write('src/c.spec.js', 'global.results.push(require("./c"));');
+        return project.run()
+          .then(result => {
+            assert(_.some(result.diagnostics, d => d.severity === 'error' && d.file === 'src/c.spec.js'));
+            project.write('src/c.js', 'module.exports = "c";');
+            return project.run();
+          })
+          .then(result => {
+            assert.deepStrictEqual(result.diagnostics, []);
+            assert.deepStrictEqual(project.load({tests: ['src/c.spec.js.wbp.js']}), [['c']]);
+          });
+      });
+
+      it('resolves directory index files added after a failed resolve', () => {
+        project.write('src/c.spec.js', 'global.results.push(require("./lib"));');
+        return project.run()
+          .then(result => {
+            assert(_.some(result.diagnostics, d => d.severity === 'error' && d.file === 'src/c.spec.js'));
+            project.write('src/lib/index.js', 'module.exports = "lib";');
+            return project.run();
+          })
+          .then(result => {
+            assert.deepStrictEqual(result.diagnostics, []);
+            assert.deepStrictEqual(project.load({tests: ['src/c.spec.js.wbp.js']}), [['lib']]);
+          });
+      });
+
+      it('resolves files added in new nested directories after a failed resolve', () => {
+        project.write('src/c.spec.js', 'global.results.push(require("./lib/util/format"));');
+        return project.run()
+          .then(result => {
+            assert(_.some(result.diagnostics, d => d.severity === 'error' && d.file === 'src/c.spec.js'));
+            project.write('src/lib/util/format.js', 'module.exports = "format";');
+            return project.run();
+          })
+          .then(result => {
+            assert.deepStrictEqual(result.diagnostics, []);
+            assert.deepStrictEqual(project.load({tests: ['src/c.spec.js.wbp.js']}), [['format']]);
+          });
+      });
+    });
+  });
+});
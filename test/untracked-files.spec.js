@@ -0,0 +1,110 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var gracefulFs = require('graceful-fs');
+var path = require('path');
+var _ = require('lodash');
+var Project = require('./helpers/project');
+var VirtualFiles = require('../lib/VirtualFiles');
+var WallabyInputFileSystem = require('../lib/WallabyInputFileSystem');
+
+describe('untracked files', () => {
+  var project;
+
+  beforeEach(() => {
+    project = new Project({
+      'src/a.js': 'module.exports = require("pkg") + require("other");',
+      'src/a.spec.js': 'global.results.push(require("./a"));'
+    });
+    project.writeUntracked = (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(project.dir, file)), {recursive: true});
+      fs.writeFileSync(path.join(project.dir, file), content);
+    };
+    project.writeUntracked('node_modules/pkg/index.js', 'module.exports = "pkg1";');
+    project.writeUntracked('node_modules/other/index.js', 'module.exports = "other1";');
+  });
+
+  afterEach(() => project.dispose());
+
+  var later = () => new Promise(resolve => setTimeout(resolve, 20));
+
+  var createFileSystem = watchedFile => new WallabyInputFileSystem({
+    getVirtualFiles: () => new VirtualFiles(),
+    getAllTrackedFiles: () => ({}),
+    isWatchedFile: p => p === watchedFile
+  });
+
+  it('rebuilds modules depending on watched files when the files change on disk', () => {
+    project.postprocessor({watchUntracked: [path.join(project.dir, 'node_modules/pkg')]});
+    return project.run()
+      .then(() => {
+        assert.deepStrictEqual(project.load(), [['pkg1other1']]);
+        return later();
+      })
+      .then(() => {
+        project.writeUntracked('node_modules/pkg/index.js', 'module.exports = "pkg2";');
+        project.writeUntracked('node_modules/other/index.js', 'module.exports = "other2";');
+        return project.run();
+      })
+      .then(() => {
+        // other untracked files are read once
+        assert.deepStrictEqual(project.load(), [['pkg2other1']]);
+        return project.run();
+      })
+      .then(() => {
+        assert.deepStrictEqual(project.lastEmitted, []);
+      });
+  });
+
+  it('records modification times of watched files before reading them', () => {
+    var filePath = path.join(project.dir, 'node_modules/pkg/index.js');
+    var fileSystem = createFileSystem(filePath);
+    var stat = gracefulFs.stat;
+    var readFile = gracefulFs.readFile;
+    var restore = () => {
+      gracefulFs.stat = stat;
+      gracefulFs.readFile = readFile;
+    };
+    // slow stat, and the file changes right after it has been read
+    gracefulFs.stat = function (p, callback) {
+      setTimeout(() => stat.call(gracefulFs, p, callback), 20);
+    };
+    gracefulFs.readFile = function (p, callback) {
+      readFile.call(gracefulFs, p, (err, content) => {
+        fs.utimesSync(p, new Date(), new Date(Date.now() + 10000));
+        callback(err, content);
+      });
+    };
+    return new Promise(resolve => fileSystem.readFile(filePath, resolve))
+      .then(later)
+      .then(() => {
+        restore();
+        return new Promise(resolve => fileSystem.getChangedWatchedFiles(resolve));
+      }, e => {
+        restore();
+        throw e;
+      })
+      .then(changedFiles => {
+        assert.deepStrictEqual(changedFiles, [filePath]);
+      });
+  });
+
+  it('keeps the most recently used file system results', () => {
+    var fileSystem = createFileSystem(null);
+    var first = path.join(project.dir, 'node_modules/pkg/index.js');
+    fileSystem.statSync(first);
+    _.times(20000, i => {
+      try {
+        fileSystem.statSync(path.join(project.dir, 'missing' + i));
+      }
+      catch (e) {
+        // missing files are cached as well
+      }
+      if (i === 10000) fileSystem.statSync(first);
+    });
+    assert.strictEqual(fileSystem._cache.size, 20000);
+    assert(fileSystem._cache.has('stat:' + first));
+    assert(!fileSystem._cache.has('stat:' + path.join(project.dir, 'missing0')));
+  });
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var _ = require('lodash');
+var Project = require('./helpers/project');
+var VirtualFiles = require('../lib/VirtualFiles');
+var WallabyInputFileSystem = require('../lib/WallabyInputFileSystem');
+
+describe('virtual files', () => {
+  var project;
+
+  beforeEach(() => {
+    project = new Project({
+      'src/a.js': 'module.exports = require("./config") + require("./b");',
+      'src/b.js': 'module.exports = require("./schema/user.graphql");',
+      'src/a.spec.js': 'global.results.push(require("./a"));'
+    });
+  });
+
+  afterEach(() => project.dispose());
+
+  var createFileSystem = definitions => {
+    var virtualFiles = new VirtualFiles(definitions, project.dir);
+    return new WallabyInputFileSystem({
+      getVirtualFiles: () => virtualFiles,
+      getAllTrackedFiles: () => ({}),
+      isWatchedFile: () => false
+    });
+  };
+
+  var call = (fileSystem, method, filePath) => new Promise((resolve, reject) => {
+    fileSystem[method](filePath, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+
+  it('are compiled as files on disk, and rebuilt when their contents change', () => {
+    var env = 'test';
+    project.postprocessor({
+      virtualFiles: {
+        [path.join(project.dir, 'src/config.js')]: () => 'module.exports = ' + JSON.stringify(env) + ';',
+        [path.join(project.dir, '**/*.graphql')]: p => 'module.exports = ":' + path.basename(p) + '";'
+      }
+    });
+    return project.run()
+      .then(() => {
+        assert.deepStrictEqual(project.errors(), []);
+        assert.deepStrictEqual(project.load(), [['test:user.graphql']]);
+        env = 'ci';
+        return project.run();
+      })
+      .then(() => {
+        assert.deepStrictEqual(project.load(), [['ci:user.graphql']]);
+        return project.run();
+      })
+      .then(() => {
+        assert(!_.includes(project.lastEmitted, 'src/a.js.wbp.js'));
+      });
+  });
+
+  it('only have virtual directories that do not exist on disk', () => {
+    var fileSystem = createFileSystem({'src/generated/config.js': 'module.exports = 1;'});
+    return Promise.all([
+      call(fileSystem, 'stat', path.join(project.dir, 'src')),
+      call(fileSystem, 'stat', path.join(project.dir, 'src/generated')),
+      call(fileSystem, 'stat', path.join(project.dir, 'src/generated/config.js')),
+      call(fileSystem, 'realpath', path.join(project.dir, 'src/generated'))
+    ])
+      .then(results => {
+        assert(results[0].isDirectory());
+        assert.strictEqual(+results[0].mtime, +fs.statSync(path.join(project.dir, 'src')).mtime);
+        assert(results[1].isDirectory());
+        assert.strictEqual(+results[1].mtime, 0);
+        assert(results[2].isFile());
+        assert.strictEqual(results[3], path.join(project.dir, 'src/generated'));
+        assert.strictEqual(+fileSystem.statSync(path.join(project.dir, 'src')).mtime,
+          +fs.statSync(path.join(project.dir, 'src')).mtime);
+      });
+  });
+
+  it('are listed in their directories, files matching globs once they have been read', () => {
+    var fileSystem = createFileSystem({
+      'src/config.js': 'module.exports = 1;',
+      'src/schema/*.graphql': 'type User {}'
+    });
+    var schemaDir = path.join(project.dir, 'src/schema');
+    return call(fileSystem, 'readdir', path.join(project.dir, 'src'))
+      .then(names => {
+        assert.deepStrictEqual(names.sort(), ['a.js', 'a.spec.js', 'b.js', 'config.js']);
+        return call(fileSystem, 'readFile', path.join(schemaDir, 'user.graphql'));
+      })
+      .then(content => {
+        assert.strictEqual(content, 'type User {}');
+        assert.deepStrictEqual(fileSystem.readdirSync(schemaDir), ['user.graphql']);
+        return call(fileSystem, 'readdir', path.join(project.dir, 'src'));
+      })
+      .then(names => {
+        assert.deepStrictEqual(names.sort(), ['a.js', 'a.spec.js', 'b.js', 'config.js', 'schema']);
+      });
+  });
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+var assert = require('assert');
+var path = require('path');
+var _ = require('lodash');
+var Project = require('./helpers/project');
+
+describe('webpack config', () => {
+  var project;
+
+  beforeEach(() => {
+    project = new Project({
+      'loaders/bad-loader.js': 'module.exports = function (source) { return source.replace("__LOADER__", "\\"bad\\""); };',
+      'loaders/good-loader.js': 'module.exports = function (source) {'
+        + 'return source.replace("__LOADER__", JSON.stringify("good" + this.query)); };',
+      'src/a.spec.js': 'global.results.push(__LOADER__, typeof BAD === "undefined" ? "" : BAD,'
+        + 'typeof ENV === "undefined" ? "" : ENV, typeof EXTRA === "undefined" ? "" : EXTRA);'
+    });
+  });
+
+  afterEach(() => project.dispose());
+
+  var loader = name => JSON.stringify(path.join(project.dir, 'loaders', name + '-loader.js'));
+
+  it('is loaded from the config file, with overrides', () => {
+    project.write('webpack.config.js', 'var webpack = require(' + JSON.stringify(require.resolve('webpack')) + ');'
+      + 'class BadPlugin { apply(compiler) { new webpack.DefinePlugin({BAD: "\\"bad\\""}).apply(compiler); } }'
+      + 'module.exports = function (env, argv) { return Promise.resolve([{name: "app", entry: "./missing.js"}, {'
+      + 'name: "test", entry: "./missing.js",'
+      + 'plugins: [new BadPlugin(), new webpack.DefinePlugin({ENV: JSON.stringify(env.name + ":" + argv.env.name)})],'
+      + 'module: {loaders: [{test: /\\.spec\\.js$/, loader: ' + loader('bad') + '}]}'
+      + '}]); };');
+    project.postprocessor({
+      configFile: path.join(project.dir, 'webpack.config.js'),
+      configName: 'test',
+      env: {name: 'wallaby'},
+      removePlugins: ['BadPlugin'],
+      replaceLoaders: {bad: {loader: JSON.parse(loader('good')), options: {o: 1}}},
+      plugins: [new (require('webpack').DefinePlugin)({EXTRA: '"extra"'})]
+    });
+    return project.run()
+      .then(() => {
+        assert.deepStrictEqual(project.errors(), []);
+        assert(_.includes(project.logs, 'debug Webpack plugin BadPlugin is removed'));
+        assert.deepStrictEqual(project.load(), [['good?{"o":1}', '', 'wallaby:wallaby', 'extra']]);
+      });
+  });
+
+  it('passes options of replacement loaders to webpack 5 rules', () => {
+    project.write('loaders/good-loader.js', 'module.exports = function (source) {'
+      + 'return source.replace("__LOADER__", JSON.stringify("good" + JSON.stringify(this.getOptions()))); };');
+    project.postprocessor({
+      webpack: require('webpack5'),
+      module: {rules: [{test: /\.spec\.js$/, loader: JSON.parse(loader('bad'))}]},
+      replaceLoaders: {bad: {loader: JSON.parse(loader('good')), options: {o: 1}}}
+    });
+    return project.run()
+      .then(() => {
+        assert.deepStrictEqual(project.errors(), []);
+        assert.deepStrictEqual(project.load(), [['good{"o":1}', '', '', '']]);
+      });
+  });
+
+  describe('incompatible plugins and loaders', () => {
+    var webpack = require('webpack');
+    class HtmlWebpackPlugin {
+      apply(compiler) {
+        new webpack.DefinePlugin({HTML: '"html"'}).apply(compiler);
+      }
+    }
+    class MiniCssExtractPlugin {
+      apply() {
+        throw new Error('MiniCssExtractPlugin is applied');
+      }
+    }
+    var extractLoader;
+
+    beforeEach(() => {
+      project.write('node_modules/mini-css-extract-plugin/dist/loader.js',
+        'module.exports = function () { throw new Error("extract loader"); };'
+        + 'module.exports.pitch = function () { throw new Error("extract loader"); };');
+      project.write('loaders/css-loader.js', 'module.exports = function (source) {'
+        + 'return "module.exports = {toString: function () { return " + JSON.stringify(source) + "; }, locals: {a: \\"a_1\\"}};"; };');
+      project.write('src/a.css', '.a { color: red; }');
+      project.write('src/b.spec.js', 'global.results.push(require("./a.css"), typeof HTML === "undefined" ? "" : HTML);');
+      extractLoader = path.join(project.dir, 'node_modules/mini-css-extract-plugin/dist/loader.js');
+    });
+
+    it('are removed and replaced', () => {
+      project.postprocessor({
+        plugins: [new HtmlWebpackPlugin(), new MiniCssExtractPlugin()],
+        module: {loaders: [{test: /\.css$/, loader: extractLoader + '!' + JSON.parse(loader('css'))}]}
+      });
+      return project.run()
+        .then(() => {
+          assert.deepStrictEqual(project.errors(), []);
+          assert(_.includes(project.logs, 'debug Webpack plugin HtmlWebpackPlugin is removed'));
+          assert(_.includes(project.logs, 'debug Webpack plugin MiniCssExtractPlugin is removed'));
+          assert(_.some(project.logs, l => _.startsWith(l, 'debug Webpack loader ' + extractLoader + ' is replaced with ')));
+          assert.deepStrictEqual(project.load({tests: ['src/b.spec.js.wbp.js']}), [[{a: 'a_1'}, '']]);
+        });
+    });
+
+    it('are kept when listed', () => {
+      project.postprocessor({
+        plugins: [new HtmlWebpackPlugin()],
+        keepPlugins: ['HtmlWebpackPlugin'],
+        keepLoaders: ['mini-css-extract-plugin'],
+        module: {loaders: [{test: /\.css$/, loader: extractLoader + '!' + JSON.parse(loader('css'))}]}
+      });
+      return project.run()
+        .then(() => {
+          assert.match(project.errors()[0], /extract loader/);
+          assert.deepStrictEqual(project.load({tests: ['src/b.spec.js.wbp.js']})[0].error.split(':')[0], 'src/a.css');
+        });
+    });
+  });
+
+  it('removes rules left without loaders', () => {
+    project.write('webpack.config.js', 'module.exports = {module: {loaders: [{test: /\\.spec\\.js$/, loader: '
+      + loader('bad') + '}]}};');
+    project.write('src/b.spec.js', 'global.results.push(typeof __LOADER__);');
+    project.postprocessor({configFile: path.join(project.dir, 'webpack.config.js'), replaceLoaders: {'bad-loader': null}});
+    return project.run()
+      .then(() => {
+        assert.deepStrictEqual(project.errors(), []);
+        assert.deepStrictEqual(project.load({tests: ['src/b.spec.js.wbp.js']}), [['undefined']]);
+      });
+  });
+});
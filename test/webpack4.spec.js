@@ -0,0 +1,88 @@
+'use strict';
+
+var assert = require('assert');
+var _ = require('lodash');
+var webpack4 = require('webpack4');
+var Project = require('./helpers/project');
+
+describe('webpack 4', () => {
+  var project;
+  var RealDate = Date;
+
+  beforeEach(() => {
+    project = new Project({
+      'src/a.js': 'import b from "./b"; export default function a() { return "a" + b; }',
+      'src/b.js': 'module.exports = "b";',
+      'src/c.js': 'module.exports = "c";',
+      'src/a.spec.js': 'import a from "./a"; global.results.push(a());',
+      'src/c.spec.js': 'global.results.push(require("./c"));'
+    });
+    project.postprocessor({webpack: webpack4});
+  });
+
+  afterEach(() => {
+    global.Date = RealDate;
+    project.dispose();
+  });
+
+  // module files of tracked files are named by the file path and the module id
+  var isEmitted = file => _.some(project.lastEmitted, f => _.startsWith(f, file + '.'));
+
+  // the clock only moves when it is set, so file changes and module builds may happen in the same millisecond
+  var setTime = time => {
+    global.Date = class extends RealDate {
+      constructor() {
+        super(...(arguments.length ? arguments : [time]));
+      }
+
+      static now() {
+        return time;
+      }
+    };
+  };
+
+  it('emits module files and the test loader', () => {
+    return project.run().then(result => {
+      assert.deepStrictEqual(result.diagnostics, []);
+      assert(_.includes(project.lastEmitted, 'wallaby-webpack.js'));
+      assert(isEmitted('src/a.js'));
+      assert.deepStrictEqual(project.load(), [['ab', 'c']]);
+    });
+  });
+
+  it('only emits changed modules', () => {
+    return project.run()
+      .then(() => {
+        project.edit('src/b.js', 'module.exports = "B";');
+        return project.run();
+      })
+      .then(() => {
+        assert(isEmitted('src/b.js'));
+        assert(!isEmitted('src/c.js'));
+        assert(!isEmitted('src/c.spec.js'));
+        assert.deepStrictEqual(project.load(), [['aB', 'c']]);
+      });
+  });
+
+  it('does not rebuild modules changed in the same millisecond as the compilation started', () => {
+    setTime(1000);
+    return project.run()
+      .then(() => {
+        setTime(2000);
+        project.edit('src/b.js', 'module.exports = "B";');
+        return project.run();
+      })
+      .then(() => {
+        assert(isEmitted('src/b.js'));
+        setTime(3000);
+        project.edit('src/c.js', 'module.exports = "C";');
+        return project.run();
+      })
+      .then(() => {
+        assert(isEmitted('src/c.js'));
+        assert(!isEmitted('src/b.js'));
+        global.Date = RealDate;
+        assert.deepStrictEqual(project.load(), [['aB', 'C']]);
+      });
+  });
+});
@@ -0,0 +1,49 @@
+'use strict';
+
+var assert = require('assert');
+var _ = require('lodash');
+var webpack5 = require('webpack5');
+var Project = require('./helpers/project');
+
+describe('webpack 5', () => {
+  var project;
+
+  beforeEach(() => {
+    project = new Project({
+      'src/a.js': 'import b from "./b"; export default function a() { return "a" + b; }',
+      'src/b.js': 'module.exports = "b";',
+      'src/c.js': 'module.exports = "c";',
+      'src/a.spec.js': 'import a from "./a"; global.results.push(a());',
+      'src/c.spec.js': 'global.results.push(require("./c"));'
+    });
+    project.postprocessor({webpack: webpack5});
+  });
+
+  afterEach(() => project.dispose());
+
+  // module files of tracked files are named by the file path and the module id
+  var isEmitted = file => _.some(project.lastEmitted, f => _.startsWith(f, file + '.'));
+
+  it('emits module files and the test loader', () => {
+    return project.run().then(result => {
+      assert.deepStrictEqual(result.diagnostics, []);
+      assert(_.includes(project.lastEmitted, 'wallaby-webpack.js'));
+      assert(isEmitted('src/a.js'));
+      assert.deepStrictEqual(project.load(), [['ab', 'c']]);
+    });
+  });
+
+  it('only emits changed modules', () => {
+    return project.run()
+      .then(() => {
+        project.edit('src/b.js', 'module.exports = "B";');
+        return project.run();
+      })
+      .then(() => {
+        assert(isEmitted('src/b.js'));
+        assert(!isEmitted('src/c.js'));
+        assert(!isEmitted('src/c.spec.js'));
+        assert.deepStrictEqual(project.load(), [['aB', 'c']]);
+      });
+  });
+});